@@ -0,0 +1,199 @@
+/**
+ * relay.js
+ * ─────────
+ * Tiny WebSocket relay for shared sessions: a phone (the controller) runs
+ * the hand tracking and sends its gestures and finger positions; a big
+ * screen (the display) draws the particles.  Neither needs to know the
+ * other's address — both connect here and are paired by a short code.
+ *
+ *   /relay?role=display                 opens a session; the first message
+ *                                       is { type: 'session', code }
+ *   /relay?role=controller&code=ABCD    joins it; the first message is
+ *                                       { type: 'joined' }
+ *
+ * Everything else is passed on wrapped as { type: 'relay', msg }: messages
+ * from controllers go to the display and messages from the display go to
+ * every controller.  Wrapping keeps the relay's own messages apart, so a
+ * peer can't pose as the relay; frames that aren't JSON text are dropped.
+ * The display is told how many controllers are connected with
+ * { type: 'controllers', count }.  When the display leaves, the session
+ * ends and its controllers are disconnected.
+ *
+ * An address that tries too many unknown codes is turned away for a
+ * minute, so the short codes can't simply be guessed.  Sockets that stop
+ * answering pings (a display whose tab crashed, a phone that went out of
+ * range) are dropped, so their sessions and codes don't linger.
+ *
+ * `npm run dev` mounts the relay on the Vite server, so it shares the
+ * page's origin.  For a static deployment run it on its own with
+ * `npm run relay` (PORT, default 8787) and point the page at it with
+ * `?relay=wss://host:port/relay`.
+ */
+import { createServer } from 'node:http';
+import { randomInt } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+export const RELAY_PATH = '/relay';
+
+/** Code alphabet without look-alikes (0/O, 1/I/L) */
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+/** Largest message passed through (a frame of hand data is ~1 KB) */
+const MAX_MESSAGE = 16 * 1024;
+
+/** Milliseconds between pings; a socket that misses one is dropped */
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/** Unknown codes an address may try per window before it is turned away */
+const MAX_FAILED_JOINS = 10;
+const FAILED_JOIN_WINDOW = 60 * 1000;
+
+/** Close codes the page shows a reason for */
+export const CLOSE_UNKNOWN_SESSION = 4404;
+export const CLOSE_SESSION_ENDED = 4410;
+export const CLOSE_TOO_MANY_ATTEMPTS = 4429;
+
+/**
+ * Handle relay connections on an existing HTTP server (upgrade requests
+ * to `path`; other upgrades, e.g. Vite's HMR, are left alone).
+ * @returns {WebSocketServer}
+ */
+export function attachRelay(httpServer, { path = RELAY_PATH } = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE });
+
+  /** code → { display, controllers: Set } */
+  const sessions = new Map();
+
+  /** remote address → { count, since } of its unknown-code joins */
+  const failedJoins = new Map();
+
+  /* A bad client (oversized frame, protocol error) only loses its own socket */
+  wss.on('error', (err) => console.error('Relay error', err));
+
+  /* Every socket must answer each ping before the next one */
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+    const now = Date.now();
+    for (const [address, failed] of failedJoins) {
+      if (now - failed.since > FAILED_JOIN_WINDOW) failedJoins.delete(address);
+    }
+  }, HEARTBEAT_INTERVAL);
+  wss.on('close', () => clearInterval(heartbeat));
+  httpServer.on('close', () => wss.close());
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://relay');
+    if (url.pathname !== path) return;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.on('error', () => ws.terminate());
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+      const role = url.searchParams.get('role');
+      if (role === 'display') openSession(ws);
+      else if (role === 'controller') joinSession(ws, url.searchParams.get('code'), req.socket.remoteAddress);
+      else ws.close(1008, 'Unknown role');
+    });
+  });
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+    } while (sessions.has(code));
+    return code;
+  }
+
+  function openSession(display) {
+    const code = newCode();
+    const session = { display, controllers: new Set() };
+    sessions.set(code, session);
+    display.send(JSON.stringify({ type: 'session', code }));
+
+    display.on('message', (data, isBinary) => {
+      const wrapped = wrap(data, isBinary);
+      if (wrapped) for (const c of session.controllers) sendTo(c, wrapped);
+    });
+    display.on('close', () => {
+      sessions.delete(code);
+      for (const c of session.controllers) c.close(CLOSE_SESSION_ENDED, 'Session ended');
+    });
+  }
+
+  function joinSession(controller, code, address) {
+    const now = Date.now();
+    let failed = failedJoins.get(address);
+    if (failed && now - failed.since > FAILED_JOIN_WINDOW) failed = null;
+    if (failed?.count >= MAX_FAILED_JOINS) {
+      controller.close(CLOSE_TOO_MANY_ATTEMPTS, 'Too many attempts');
+      return;
+    }
+
+    const session = sessions.get(String(code).toUpperCase());
+    if (!session) {
+      failedJoins.set(address, { count: (failed?.count ?? 0) + 1, since: failed?.since ?? now });
+      controller.close(CLOSE_UNKNOWN_SESSION, 'Unknown session');
+      return;
+    }
+
+    const announce = () => sendTo(session.display, JSON.stringify({
+      type: 'controllers',
+      count: session.controllers.size,
+    }));
+
+    session.controllers.add(controller);
+    controller.send(JSON.stringify({ type: 'joined' }));
+    announce();
+
+    controller.on('message', (data, isBinary) => {
+      const wrapped = wrap(data, isBinary);
+      if (wrapped) sendTo(session.display, wrapped);
+    });
+    controller.on('close', () => {
+      if (session.controllers.delete(controller)) announce();
+    });
+  }
+
+  return wss;
+}
+
+/** A peer's message as { type: 'relay', msg } text, or null if it isn't JSON */
+function wrap(data, isBinary) {
+  if (isBinary) return null;
+  try {
+    return JSON.stringify({ type: 'relay', msg: JSON.parse(data.toString()) });
+  } catch {
+    return null;
+  }
+}
+
+/** Send text, unless the socket is closing or gone */
+function sendTo(ws, text) {
+  if (ws.readyState === ws.OPEN) ws.send(text);
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Standalone                                        */
+/* ────────────────────────────────────────────────── */
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end(`WebSocket relay — connect to ${RELAY_PATH}\n`);
+  });
+  attachRelay(server);
+  server.listen(port, () => {
+    console.log(`Relay listening on ws://localhost:${port}${RELAY_PATH}`);
+  });
+}
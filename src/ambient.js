@@ -0,0 +1,79 @@
+/**
+ * ambient.js
+ * ───────────
+ * Idle motion that keeps a formation alive once the particles have
+ * arrived.  It moves each particle's target, not the particle, so the
+ * transition and the force fields work as usual and the shape still reads
+ * clearly.  A mode is a plain object (or just its type name as a string):
+ *
+ *   'none'
+ *       particles rest on their targets (the original behaviour)
+ *   { type: 'drift',     amplitude: 0.35, scale: 0.25, speed: 0.15 }
+ *       each point wanders around its place on slow curl-noise currents;
+ *       `scale` is how fine the currents are
+ *   { type: 'orbit',     speed: 0.25, innerRadius: 4.5, radius: 6.5 }
+ *       points further than `innerRadius` from the y axis circle it like a
+ *       planet's ring: `speed` rad/s at `radius`, faster inside and slower
+ *       outside (Kepler: ∝ r^−1.5); the body inside stays put
+ *   { type: 'heartbeat', amplitude: 0.08, bpm: 66 }
+ *       the whole shape swells with a "lub-dub" beat
+ *   { type: 'shimmer',   amplitude: 0.04, speed: 2.5, wave: 0.15 }
+ *       a fine per-particle quiver plus a slow wave running across in depth
+ *
+ * The simulation shaders implement the motion; this module only normalises
+ * specs and packs them into uniforms.
+ */
+
+/** Ambient modes understood by the simulation shaders (uAmbientMode) */
+export const AMBIENT_MODES = {
+  none:      0,
+  drift:     1,
+  orbit:     2,
+  heartbeat: 3,
+  shimmer:   4,
+};
+
+const DEFAULTS = {
+  none:      {},
+  drift:     { amplitude: 0.35, scale: 0.25, speed: 0.15 },
+  orbit:     { speed: 0.25, innerRadius: 4.5, radius: 6.5 },
+  heartbeat: { amplitude: 0.08, bpm: 66 },
+  shimmer:   { amplitude: 0.04, speed: 2.5, wave: 0.15 },
+};
+
+/** Parameters of each mode, in uAmbient's x / y / z order */
+const PARAMS = {
+  none:      [],
+  drift:     ['amplitude', 'scale', 'speed'],
+  orbit:     ['speed', 'innerRadius', 'radius'],
+  heartbeat: ['amplitude', 'bpm'],
+  shimmer:   ['amplitude', 'speed', 'wave'],
+};
+
+export const AMBIENT_TYPES = Object.keys(DEFAULTS);
+
+/**
+ * Fill in defaults; accepts a type name or a (partial) spec object.
+ * Throws on unknown types and non-numeric parameters.
+ */
+export function normalizeAmbient(spec) {
+  const a = typeof spec === 'string' ? { type: spec } : { ...spec };
+  if (!DEFAULTS[a.type]) throw new Error(`Unknown ambient motion "${a.type}"`);
+
+  const out = { ...DEFAULTS[a.type], ...a };
+  for (const key of PARAMS[out.type]) {
+    if (!Number.isFinite(out[key])) throw new Error(`Ambient "${out.type}": "${key}" must be a number`);
+  }
+  if (out.type === 'orbit' && !(out.radius > 0)) {
+    throw new Error('Ambient "orbit": "radius" must be positive');
+  }
+  return out;
+}
+
+/** Write a normalised spec into the uAmbientMode / uAmbient uniforms */
+export function packAmbient(u, spec) {
+  const values = PARAMS[spec.type].map((key) => (key === 'bpm' ? spec.bpm / 60 : spec[key]));
+  const [x = 0, y = 0, z = 0] = values;
+  u.uAmbientMode.value = AMBIENT_MODES[spec.type];
+  u.uAmbient.value.set(x, y, z, 0);
+}
@@ -0,0 +1,36 @@
+/**
+ * assets.js
+ * ──────────
+ * Where runtime assets (MediaPipe model / wasm files, typeface fonts) are
+ * served from, and service-worker registration for offline use.
+ *
+ * The files themselves are copied out of node_modules by the
+ * `selfHostedAssets` plugin in vite.config.js, so nothing is fetched from a
+ * CDN.  They live next to the app under `<base>/mediapipe/` and
+ * `<base>/fonts/`; set `VITE_ASSET_BASE` at build time to host them
+ * somewhere else (e.g. a bucket shared by several deployments).
+ */
+
+/** Base URL for model and font files, always ending in "/" */
+export const ASSET_BASE = withSlash(import.meta.env.VITE_ASSET_BASE || import.meta.env.BASE_URL);
+
+/** URL of a self-hosted asset, e.g. assetUrl('fonts/helvetiker_bold.typeface.json') */
+export function assetUrl(path) {
+  return ASSET_BASE + path.replace(/^\/+/, '');
+}
+
+function withSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Register the service worker emitted by the build.  Skipped in dev, where
+ * a cached bundle would only get in the way of hot reload.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .catch((err) => console.warn('Service worker registration failed', err));
+}
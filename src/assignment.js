@@ -0,0 +1,225 @@
+/**
+ * assignment.js
+ * ──────────────
+ * Decides which particle flies to which target point when the formation
+ * changes.  Pairing particle i with point i makes every transition a random
+ * crossing swarm; these helpers pair particles with nearby points instead,
+ * so text, heart and planet morph into each other cleanly.
+ *
+ * Modes:
+ *   'index'   — particle i → point i of the shuffled target (the original
+ *               crossing swarm); shuffled so any run of particles still
+ *               covers the whole formation, whatever order the generator
+ *               wrote its points in
+ *   'spatial' — both clouds sorted along a Morton (Z-order) curve and paired
+ *               by rank; O(n log n), fine for hundreds of thousands of points
+ *   'transport' — spatial pairing refined by local 2-opt swaps, an
+ *               approximation of optimal transport; shorter, less crossing
+ *               paths for a few more milliseconds
+ *
+ * All position arrays are flat xyz Float32Arrays.  Targets may come with a
+ * flat rgb colour array, which is resampled and reordered along with them.
+ */
+
+export const ASSIGNMENT_MODES = ['index', 'spatial', 'transport'];
+
+/** 2-opt refinement: number of passes and max Morton-order distance tried */
+const TRANSPORT_PASSES = 12;
+const TRANSPORT_WINDOW = 6;
+
+/* ────────────────────────────────────────────────── */
+/*  Resampling                                        */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Bring a target cloud (and its colours, if any) to exactly `count` points.
+ * Larger clouds are thinned with an even stride; smaller clouds repeat each
+ * point but jitter the copies by about half the mean spacing, so duplicates
+ * don't stack on the same spot.
+ * @returns {{positions: Float32Array, colors: ?Float32Array}}
+ */
+export function resampleTarget(target, count, colors = null) {
+  const srcLen = target.length / 3;
+  const out = new Float32Array(count * 3);
+  const outColors = colors ? new Float32Array(count * 3) : null;
+  if (srcLen === 0) return { positions: out, colors: outColors };
+
+  const thin = srcLen >= count;
+  const stride = srcLen / count;
+  const jitter = thin ? 0 : meanSpacing(target) * 0.5;
+
+  for (let i = 0; i < count; i++) {
+    const si = (thin ? Math.floor(i * stride) : i % srcLen) * 3;
+    const copy = i >= srcLen;
+    out[i * 3]     = target[si]     + (copy ? (Math.random() - 0.5) * jitter : 0);
+    out[i * 3 + 1] = target[si + 1] + (copy ? (Math.random() - 0.5) * jitter : 0);
+    out[i * 3 + 2] = target[si + 2] + (copy ? (Math.random() - 0.5) * jitter : 0);
+
+    if (outColors) {
+      outColors[i * 3]     = colors[si];
+      outColors[i * 3 + 1] = colors[si + 1];
+      outColors[i * 3 + 2] = colors[si + 2];
+    }
+  }
+  return { positions: out, colors: outColors };
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Assignment                                        */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Reorder `target` (same length as `current`) so that point i is the one
+ * particle i should travel to.  `colors` follow their points.
+ * @returns {{positions: Float32Array, colors: ?Float32Array}}
+ */
+export function assignTargets(current, target, mode = 'spatial', colors = null) {
+  let pairing;
+  if (mode === 'transport') pairing = pairTransport(current, target);
+  else if (mode === 'spatial') pairing = pairSpatial(current, target);
+  else pairing = shuffledIndices(current.length / 3);
+
+  return {
+    positions: gather(target, pairing),
+    colors: colors ? gather(colors, pairing) : null,
+  };
+}
+
+/**
+ * Pair the k-th particle along the Z-order curve with the k-th target point
+ * along the curve.  Each cloud is normalised to its own bounding box, so
+ * relative positions (top-left → top-left …) are preserved.
+ * Returns particle index → target point index.
+ */
+function pairSpatial(current, target) {
+  const count = current.length / 3;
+  const srcOrder = mortonOrder(current);
+  const dstOrder = mortonOrder(target);
+
+  const pairing = new Uint32Array(count);
+  for (let k = 0; k < count; k++) pairing[srcOrder[k]] = dstOrder[k];
+  return pairing;
+}
+
+/**
+ * Approximate optimal transport: start from the spatial pairing, then run
+ * a few 2-opt passes that swap the targets of two particles whenever that
+ * lowers their summed squared travel.  Candidates are particles close along
+ * the Morton curve (they are close in space), with a different offset each
+ * pass so improvements can propagate.
+ */
+function pairTransport(current, target) {
+  const count = current.length / 3;
+  const pairing = pairSpatial(current, target);
+  const order = mortonOrder(current);
+
+  const cost = (p, t) => {
+    const pi = p * 3, ti = t * 3;
+    const dx = current[pi] - target[ti], dy = current[pi + 1] - target[ti + 1], dz = current[pi + 2] - target[ti + 2];
+    return dx * dx + dy * dy + dz * dz;
+  };
+
+  for (let pass = 0; pass < TRANSPORT_PASSES; pass++) {
+    const offset = 1 + (pass % TRANSPORT_WINDOW);
+    for (let k = 0; k + offset < count; k++) {
+      const a = order[k];
+      const b = order[k + offset];
+      const before = cost(a, pairing[a]) + cost(b, pairing[b]);
+      const after  = cost(a, pairing[b]) + cost(b, pairing[a]);
+      if (after < before) {
+        const tmp = pairing[a];
+        pairing[a] = pairing[b];
+        pairing[b] = tmp;
+      }
+    }
+  }
+  return pairing;
+}
+
+/** Flat xyz / rgb array reordered so entry i is source entry pairing[i] */
+/** 0 … count−1 in random order (Fisher–Yates) */
+function shuffledIndices(count) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+function gather(source, pairing) {
+  const out = new Float32Array(pairing.length * 3);
+  for (let i = 0; i < pairing.length; i++) {
+    const si = pairing[i] * 3;
+    out[i * 3]     = source[si];
+    out[i * 3 + 1] = source[si + 1];
+    out[i * 3 + 2] = source[si + 2];
+  }
+  return out;
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Helpers                                           */
+/* ────────────────────────────────────────────────── */
+
+function bounds(points) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < points.length; i += 3) {
+    for (let a = 0; a < 3; a++) {
+      const v = points[i + a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+  }
+  return { min, max };
+}
+
+/** Average distance between neighbouring points if spread over the bbox */
+function meanSpacing(points) {
+  const { min, max } = bounds(points);
+  const n = points.length / 3;
+  const dims = [0, 1, 2].map((a) => max[a] - min[a]).filter((d) => d > 1e-6);
+  if (dims.length === 0) return 0;
+  const volume = dims.reduce((acc, d) => acc * d, 1);
+  return Math.pow(volume / n, 1 / dims.length);
+}
+
+/** Spread the low 10 bits of v so there are two zero bits between each */
+function part1By2(v) {
+  v &= 0x3ff;
+  v = (v | (v << 16)) & 0x030000ff;
+  v = (v | (v << 8))  & 0x0300f00f;
+  v = (v | (v << 4))  & 0x030c30c3;
+  v = (v | (v << 2))  & 0x09249249;
+  return v;
+}
+
+/**
+ * Point indices sorted along a 30-bit Morton curve over the cloud's bbox.
+ * Code and index are packed into one float64 so a single typed-array sort
+ * (numeric, no comparator) does the job.
+ */
+function mortonOrder(points) {
+  const n = points.length / 3;
+  const { min, max } = bounds(points);
+  const scale = [0, 1, 2].map((a) => {
+    const d = max[a] - min[a];
+    return d > 1e-6 ? 1023 / d : 0;
+  });
+
+  const keys = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = ((points[i * 3]     - min[0]) * scale[0]) | 0;
+    const y = ((points[i * 3 + 1] - min[1]) * scale[1]) | 0;
+    const z = ((points[i * 3 + 2] - min[2]) * scale[2]) | 0;
+    const code = (part1By2(x) | (part1By2(y) << 1) | (part1By2(z) << 2)) >>> 0;
+    keys[i] = code * 1048576 + i;   // 2^20 > max index
+  }
+  keys.sort();
+
+  const order = new Uint32Array(n);
+  for (let k = 0; k < n; k++) order[k] = keys[k] % 1048576;
+  return order;
+}
@@ -0,0 +1,199 @@
+/**
+ * audio.js
+ * ─────────
+ * Listens to a music file or the microphone through a WebAudio
+ * AnalyserNode and boils each frame down to a few numbers the visuals can
+ * follow:
+ *
+ *   bass / mid / treble — smoothed band energy, 0–1
+ *   level               — overall loudness, 0–1
+ *   beat                — true on the frame a beat is detected
+ *   beatStrength        — how far the bass jumped above its recent average
+ *
+ * Beats are bass-energy onsets: the current bass well above its average
+ * over the last second, with a short refractory time so one kick counts
+ * once.  Music from a file plays through the speakers and is also offered
+ * as a MediaStream (`stream`) so recordings can include it.
+ */
+
+/** Frequency bands in Hz */
+const BANDS = {
+  bass:   [20, 250],
+  mid:    [250, 2000],
+  treble: [2000, 8000],
+};
+
+const FFT_SIZE = 2048;
+
+/** Per-frame smoothing of the band energies (0 = frozen, 1 = raw) */
+const SMOOTHING = 0.35;
+
+/** Frames of bass history the beat detector averages (~1 s at 60 fps) */
+const BEAT_HISTORY = 60;
+
+/** Bass must exceed its recent average by this factor to be a beat */
+const BEAT_THRESHOLD = 1.35;
+
+/** Quieter bass than this never counts as a beat */
+const BEAT_MIN_ENERGY = 0.25;
+
+/** Seconds after a beat during which no other beat is reported */
+const BEAT_REFRACTORY = 0.25;
+
+export class AudioReactor {
+  constructor() {
+    /** 'file' | 'mic' | null */
+    this.source = null;
+
+    /** <audio> playing the chosen file, or null */
+    this.audio = null;
+
+    /** Levels of the last update() */
+    this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: false, beatStrength: 0 };
+
+    /** Called with the beat strength on every detected beat */
+    this.onBeat = null;
+
+    this._context = null;
+    this._analyser = null;
+    this._destination = null;
+    this._input = null;
+    this._micStream = null;
+    this._bins = null;
+    this._bassHistory = [];
+    this._lastBeat = -Infinity;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /** Whether something is being listened to */
+  get active() {
+    return this.source !== null;
+  }
+
+  /**
+   * Audio of the current music file as a MediaStream (for recording), or
+   * null when listening to the microphone / nothing.
+   */
+  get stream() {
+    return this.source === 'file' ? this._destination.stream : null;
+  }
+
+  /** Play and listen to a music file (File / Blob), looping */
+  async useFile(file) {
+    this.stop();
+    this._ensureGraph();
+
+    this.audio = new Audio(URL.createObjectURL(file));
+    this.audio.loop = true;
+    this._input = this._context.createMediaElementSource(this.audio);
+    this._input.connect(this._analyser);
+    this._input.connect(this._context.destination);
+    this._input.connect(this._destination);
+
+    await this._context.resume();
+    await this.audio.play();
+    this.source = 'file';
+  }
+
+  /** Listen to the microphone (not played back, to avoid feedback) */
+  async useMicrophone() {
+    this.stop();
+    this._ensureGraph();
+
+    this._micStream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: true },
+    });
+    this._input = this._context.createMediaStreamSource(this._micStream);
+    this._input.connect(this._analyser);
+
+    await this._context.resume();
+    this.source = 'mic';
+  }
+
+  /** Stop listening (and playing) */
+  stop() {
+    this._input?.disconnect();
+    this._input = null;
+    if (this.audio) {
+      this.audio.pause();
+      URL.revokeObjectURL(this.audio.src);
+      this.audio = null;
+    }
+    this._micStream?.getTracks().forEach((t) => t.stop());
+    this._micStream = null;
+    this.source = null;
+    this._bassHistory = [];
+    Object.assign(this.levels, { bass: 0, mid: 0, treble: 0, level: 0, beat: false, beatStrength: 0 });
+  }
+
+  /**
+   * Analyse the current audio frame; call once per animation frame with
+   * the clock's elapsed seconds.  Returns `levels`.
+   */
+  update(elapsed) {
+    const levels = this.levels;
+    levels.beat = false;
+    if (!this.active) return levels;
+
+    this._analyser.getByteFrequencyData(this._bins);
+    const hzPerBin = this._context.sampleRate / FFT_SIZE;
+    let total = 0;
+    for (const [band, [lo, hi]] of Object.entries(BANDS)) {
+      const energy = this._bandEnergy(Math.floor(lo / hzPerBin), Math.ceil(hi / hzPerBin));
+      levels[band] += (energy - levels[band]) * SMOOTHING;
+      total += energy;
+    }
+    levels.level = total / 3;
+
+    this._detectBeat(elapsed);
+    return levels;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Analysis                                */
+  /* ──────────────────────────────────────── */
+
+  _ensureGraph() {
+    if (this._context) return;
+    this._context = new AudioContext();
+    this._analyser = this._context.createAnalyser();
+    this._analyser.fftSize = FFT_SIZE;
+    this._analyser.smoothingTimeConstant = 0.6;
+    this._destination = this._context.createMediaStreamDestination();
+    this._bins = new Uint8Array(this._analyser.frequencyBinCount);
+  }
+
+  /** Mean magnitude (0–1) of bins [from, to) */
+  _bandEnergy(from, to) {
+    const end = Math.min(to, this._bins.length);
+    let sum = 0;
+    for (let i = from; i < end; i++) sum += this._bins[i];
+    return end > from ? sum / ((end - from) * 255) : 0;
+  }
+
+  /** Bass onset against the average of the last BEAT_HISTORY frames */
+  _detectBeat(elapsed) {
+    const levels = this.levels;
+    const history = this._bassHistory;
+    const average = history.length > 0 ? history.reduce((a, b) => a + b, 0) / history.length : 0;
+
+    history.push(levels.bass);
+    if (history.length > BEAT_HISTORY) history.shift();
+
+    const strength = average > 0 ? levels.bass / average : 0;
+    levels.beatStrength = strength;
+    if (
+      history.length === BEAT_HISTORY
+      && levels.bass > BEAT_MIN_ENERGY
+      && strength > BEAT_THRESHOLD
+      && elapsed - this._lastBeat > BEAT_REFRACTORY
+    ) {
+      this._lastBeat = elapsed;
+      levels.beat = true;
+      this.onBeat?.(strength);
+    }
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * cameraRig.js
+ * ─────────────
+ * Everything that moves the camera: orbit navigation by the user (drag to
+ * orbit, wheel or two-finger pinch to zoom, with inertia), animated flights
+ * to each formation's camera pose, and an auto-cinematic mode that slowly
+ * circles and dollies around the formation by itself.
+ *
+ * A pose (a formation's `camera` in the scene config, a timeline step's) is
+ *
+ *   { x: 0, y: 6, z: 20, target: { x: 0, y: 0, z: 0 } }
+ *
+ * — where the camera sits, and the point it looks at (default the centre).
+ * Missing coordinates fall back to the resting pose, straight in front at
+ * CAMERA_DISTANCE.
+ *
+ * Who gets to move the camera, strongest claim first:
+ *   1. the user dragging or zooming (cuts a flight short, pauses the
+ *      cinematic mode for a few seconds after letting go)
+ *   2. a flight to a new pose
+ *   3. zoom from other inputs (hand pinch, triggers, keys): sets the
+ *      distance while it lasts, then eases back
+ *   4. the cinematic drift, when it is on
+ */
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+/** Distance of the resting pose; formations are sized to fill the view from here */
+export const CAMERA_DISTANCE = 18;
+
+/** Seconds a flight to a new pose takes */
+const FLIGHT_DURATION = 2;
+
+/** Camera distance at input zoom 0 / 1 */
+const ZOOM_RANGE = { far: 26, near: 10 };
+
+/** Per-frame easing of input zoom and of the return after it */
+const ZOOM_EASE = 0.08;
+
+/* ─── Auto-cinematic ─── */
+const CINE_ORBIT_SPEED = 0.08;   // rad/s around the target
+const CINE_DOLLY = 0.15;         // the distance swings ± this fraction
+const CINE_DOLLY_RATE = 0.21;    // rad/s of the dolly swing
+const CINE_TILT = 0.12;          // radians the view bobs up and down
+const CINE_TILT_RATE = 0.13;     // rad/s of the bob
+const CINE_EASE = 0.02;          // per-frame pull towards the drift
+const CINE_RESUME = 6;           // seconds after the user lets go
+
+/**
+ * Fill in a pose; accepts a (partial) pose or nothing for the resting one.
+ * Throws on non-numeric coordinates or a camera sitting on its target.
+ * @returns {{x: number, y: number, z: number, target: {x, y, z}}}
+ */
+export function normalizeCameraPose(pose = {}) {
+  const position = toPoint({ x: 0, y: 0, z: CAMERA_DISTANCE, ...pose }, 'camera');
+  const target = toPoint({ x: 0, y: 0, z: 0, ...pose.target }, 'camera.target');
+  if (position.x === target.x && position.y === target.y && position.z === target.z) {
+    throw new Error('The camera can\'t sit on its own target');
+  }
+  return { ...position, target };
+}
+
+function toPoint(p, name) {
+  const out = { x: p.x, y: p.y, z: p.z };
+  for (const axis of ['x', 'y', 'z']) {
+    if (!Number.isFinite(out[axis])) throw new Error(`${name}.${axis} must be a number`);
+  }
+  return out;
+}
+
+/** A normalised pose as { position, target } vectors */
+function toVectors({ x, y, z, target }) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    target: new THREE.Vector3(target.x, target.y, target.z),
+  };
+}
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);
+
+export class CameraRig {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {HTMLElement} domElement  element the user drags on (the canvas)
+   */
+  constructor(camera, domElement) {
+    this.camera = camera;
+
+    /** Circle and dolly around the formation by itself */
+    this.cinematic = false;
+
+    const controls = new OrbitControls(camera, domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.enablePan = false;            // formations stay centred
+    controls.minDistance = 5;
+    controls.maxDistance = 45;
+    /* One finger attracts particles (see PointerAdapter); two orbit and pinch */
+    controls.touches = { ONE: null, TWO: THREE.TOUCH.DOLLY_ROTATE };
+    controls.addEventListener('start', () => this._userStart());
+    controls.addEventListener('end', () => this._userEnd());
+    this.controls = controls;
+
+    /* Pose the cinematic mode circles (the last one flown to) */
+    this._home = toVectors(normalizeCameraPose());
+
+    /* Running flight: { from, to, start, duration } or null */
+    this._flight = null;
+
+    /* Distance to ease back to once input zoom stops (null = none pending) */
+    this._zoomBase = null;
+
+    this._dragging = false;
+    this._lastUserTime = -Infinity;
+    this._lastUpdate = null;
+    this._cineTime = 0;
+
+    this._spherical = new THREE.Spherical();
+    this._offset = new THREE.Vector3();
+    this._raycaster = new THREE.Raycaster();
+    this._plane = new THREE.Plane();
+
+    this._apply(this._home.position, this._home.target);
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /** The point the camera looks at and orbits around (live vector) */
+  get target() {
+    return this.controls.target;
+  }
+
+  /** Whether a flight is still running */
+  get flying() {
+    return this._flight !== null;
+  }
+
+  /**
+   * Fly to a pose (see normalizeCameraPose; nothing = the resting pose).
+   * The flight sweeps around the target rather than cutting through the
+   * formation, and starts on the next update().
+   */
+  flyTo(pose, { duration = FLIGHT_DURATION } = {}) {
+    this._home = toVectors(normalizeCameraPose(pose));
+    this._zoomBase = null;
+    this._flight = {
+      from: { position: this.camera.position.clone(), target: this.target.clone() },
+      to: this._home,
+      start: null,
+      duration: Math.max(duration, 1e-3),
+    };
+  }
+
+  /**
+   * Called every frame.  `zoom` (0 far … 1 near, or null) is the zoom the
+   * other inputs ask for.
+   */
+  update(elapsed, zoom = null) {
+    const dt = this._lastUpdate === null ? 0 : Math.min(elapsed - this._lastUpdate, 0.1);
+    this._lastUpdate = elapsed;
+
+    if (this._flight) {
+      this._fly(elapsed);
+    } else if (!this._dragging) {
+      if (zoom !== null) {
+        this._zoomBase ??= this._distance();
+        this._easeDistance(THREE.MathUtils.lerp(ZOOM_RANGE.far, ZOOM_RANGE.near, zoom));
+      } else if (this._zoomBase !== null) {
+        this._easeDistance(this._zoomBase);
+        if (Math.abs(this._distance() - this._zoomBase) < 0.01) this._zoomBase = null;
+      } else if (this.cinematic && elapsed - this._lastUserTime > CINE_RESUME) {
+        this._drift(dt);
+      }
+    }
+
+    this.controls.update();
+    this.camera.updateMatrixWorld();
+  }
+
+  /**
+   * Where a screen point (NDC, −1…1) lands in the world: on the plane
+   * through the target that faces the camera, so pointing works the same
+   * from any angle.
+   */
+  pointAt(ndc, out = new THREE.Vector3()) {
+    this.camera.getWorldDirection(this._offset);
+    this._plane.setFromNormalAndCoplanarPoint(this._offset, this.target);
+    this._raycaster.setFromCamera(ndc, this.camera);
+    return this._raycaster.ray.intersectPlane(this._plane, out) ?? out.copy(this.target);
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Internals                               */
+  /* ──────────────────────────────────────── */
+
+  _userStart() {
+    this._dragging = true;
+    this._flight = null;
+    this._zoomBase = null;
+  }
+
+  _userEnd() {
+    this._dragging = false;
+    this._lastUserTime = this._lastUpdate ?? 0;
+  }
+
+  _fly(elapsed) {
+    const f = this._flight;
+    f.start ??= elapsed;
+    const t = Math.min((elapsed - f.start) / f.duration, 1);
+    const k = easeInOutCubic(t);
+
+    /* Interpolate the target, and the camera around it in spherical terms */
+    const target = new THREE.Vector3().lerpVectors(f.from.target, f.to.target, k);
+    const a = new THREE.Spherical().setFromVector3(this._offset.subVectors(f.from.position, f.from.target));
+    const b = new THREE.Spherical().setFromVector3(this._offset.subVectors(f.to.position, f.to.target));
+    const dTheta = Math.atan2(Math.sin(b.theta - a.theta), Math.cos(b.theta - a.theta));
+    this._spherical.set(
+      THREE.MathUtils.lerp(a.radius, b.radius, k),
+      THREE.MathUtils.lerp(a.phi, b.phi, k),
+      a.theta + dTheta * k,
+    );
+    this._apply(this._offset.setFromSpherical(this._spherical).add(target), target);
+
+    if (t >= 1) this._flight = null;
+  }
+
+  /** Slow orbit around the home target, swinging in and out and up and down */
+  _drift(dt) {
+    this._cineTime += dt;
+    const home = this._offset.subVectors(this._home.position, this._home.target);
+    const { radius, phi } = new THREE.Spherical().setFromVector3(home);
+
+    const target = this.target.clone().lerp(this._home.target, CINE_EASE);
+    const s = this._spherical.setFromVector3(this._offset.subVectors(this.camera.position, this.target));
+    s.theta += CINE_ORBIT_SPEED * dt;
+    s.radius = THREE.MathUtils.lerp(s.radius, radius * (1 + CINE_DOLLY * Math.sin(this._cineTime * CINE_DOLLY_RATE)), CINE_EASE);
+    s.phi = THREE.MathUtils.lerp(s.phi, phi + CINE_TILT * Math.sin(this._cineTime * CINE_TILT_RATE), CINE_EASE);
+    s.makeSafe();
+    this._apply(this._offset.setFromSpherical(s).add(target), target);
+  }
+
+  _distance() {
+    return this.camera.position.distanceTo(this.target);
+  }
+
+  _easeDistance(distance) {
+    const offset = this._offset.subVectors(this.camera.position, this.target);
+    offset.setLength(THREE.MathUtils.lerp(offset.length(), distance, ZOOM_EASE));
+    this.camera.position.copy(this.target).add(offset);
+  }
+
+  _apply(position, target) {
+    this.camera.position.copy(position);
+    this.controls.target.copy(target);
+    this.camera.lookAt(target);
+  }
+}
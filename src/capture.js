@@ -0,0 +1,200 @@
+/**
+ * capture.js
+ * ───────────
+ * Exports the experience for sharing: PNG screenshots of the renderer
+ * canvas at a chosen resolution, and WebM clips recorded from the canvas
+ * (canvas.captureStream + MediaRecorder), optionally with a music file
+ * mixed in.
+ *
+ * Only the WebGL canvas is captured — titles and buttons are DOM and stay
+ * out of the picture.  Rendering at another size is the caller's job
+ * (main.js knows the camera, post-processing and particle sizes); this
+ * module just asks for a frame through a callback.
+ */
+
+/** Screenshot sizes; 'screen' keeps the canvas as it is */
+export const CAPTURE_SIZES = {
+  screen:    { label: 'Pantalla' },
+  landscape: { label: 'Horizontal 1920 × 1080', width: 1920, height: 1080 },
+  square:    { label: 'Cuadrado 1080 × 1080', width: 1080, height: 1080 },
+  story:     { label: 'Historia 1080 × 1920', width: 1080, height: 1920 },
+};
+
+/** Frame rate of recorded clips */
+const RECORD_FPS = 30;
+
+/** Video bitrate of recorded clips (bits per second) */
+const RECORD_BITRATE = 8_000_000;
+
+/** Containers / codecs tried in order */
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+/* ────────────────────────────────────────────────── */
+/*  Screenshots                                       */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Render one frame at `size` (a CAPTURE_SIZES entry) and encode it as PNG.
+ *
+ * `renderAt(width, height)` must draw a frame at that size and return a
+ * function that puts the canvas back; the pixels are read before control
+ * returns to the browser, so the canvas doesn't need preserveDrawingBuffer.
+ * @returns {Promise<Blob>}
+ */
+export function takeScreenshot(canvas, renderAt, size = CAPTURE_SIZES.screen) {
+  const width = size.width ?? canvas.width;
+  const height = size.height ?? canvas.height;
+
+  const restore = renderAt(width, height);
+  const blob = new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Screenshot failed'))), 'image/png');
+  });
+  restore();
+  return blob;
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Recording                                         */
+/* ────────────────────────────────────────────────── */
+
+export class Recorder {
+  /** Whether this browser can record a canvas at all */
+  static get supported() {
+    return typeof MediaRecorder !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  constructor(canvas) {
+    this.canvas = canvas;
+
+    /** <audio> with the background music, or null */
+    this.audio = null;
+
+    /**
+     * Audio playing elsewhere (e.g. the music the particles react to) that
+     * is recorded when no background music file is set
+     */
+    this.audioStream = null;
+
+    this._recorder = null;
+    this._chunks = [];
+    this._audioContext = null;
+    this._audioDestination = null;
+  }
+
+  /** Whether a recording is running */
+  get recording() {
+    return this._recorder?.state === 'recording';
+  }
+
+  /**
+   * Use an audio file (File / Blob) as background music for the next
+   * recordings; null removes it.  It plays through the speakers too.
+   */
+  setAudio(file) {
+    if (this.audio) {
+      this.audio.pause();
+      URL.revokeObjectURL(this.audio.src);
+      this.audio = null;
+    }
+    if (!file) return;
+
+    this.audio = new Audio(URL.createObjectURL(file));
+    this.audio.loop = true;
+
+    /* A media element can only be wired into one audio graph, so every
+       new file gets its own source */
+    this._audioContext ??= new AudioContext();
+    this._audioDestination ??= this._audioContext.createMediaStreamDestination();
+    const source = this._audioContext.createMediaElementSource(this.audio);
+    source.connect(this._audioDestination);
+    source.connect(this._audioContext.destination);
+  }
+
+  /** Start recording the canvas (and the music, from the top) */
+  async start() {
+    if (this.recording) return;
+    if (!Recorder.supported) throw new Error('Recording is not supported in this browser');
+
+    const tracks = this.canvas.captureStream(RECORD_FPS).getVideoTracks();
+    if (this.audio) {
+      await this._audioContext.resume();
+      this.audio.currentTime = 0;
+      await this.audio.play();
+      tracks.push(...this._audioDestination.stream.getAudioTracks());
+    } else if (this.audioStream) {
+      tracks.push(...this.audioStream.getAudioTracks());
+    }
+
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    this._recorder = new MediaRecorder(new MediaStream(tracks), {
+      mimeType,
+      videoBitsPerSecond: RECORD_BITRATE,
+    });
+    this._chunks = [];
+    this._recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this._chunks.push(e.data);
+    };
+    this._recorder.start(1000);
+  }
+
+  /**
+   * Stop and return the clip.
+   * @returns {Promise<Blob>}
+   */
+  stop() {
+    const recorder = this._recorder;
+    if (!recorder || recorder.state === 'inactive') {
+      return Promise.reject(new Error('Not recording'));
+    }
+    this.audio?.pause();
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        recorder.stream.getVideoTracks().forEach((t) => t.stop());
+        resolve(new Blob(this._chunks, { type: recorder.mimeType || 'video/webm' }));
+        this._chunks = [];
+      };
+      recorder.stop();
+    });
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Helpers                                           */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Show `seconds`, …, 1 in `el` one second apart, then hide it.
+ * @returns {Promise<void>}
+ */
+export async function countdown(el, seconds = 3) {
+  el.hidden = false;
+  for (let n = seconds; n > 0; n--) {
+    el.textContent = String(n);
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+  el.hidden = true;
+}
+
+/** Save a blob through a temporary download link */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement('a'), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** "cosmos-2024-02-14-213015.png" */
+export function captureFilename(ext, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `cosmos-${day}-${time}.${ext}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * colors.js
+ * ──────────
+ * Colour schemes a formation can declare.  A scheme is a plain object (or
+ * just its type name as a string):
+ *
+ *   'palette'  /  { type: 'palette', colors: ['#fff', '#ff69b4', …] }
+ *       each particle picks a colour from the list by its random seed;
+ *       without `colors` the particle system's own palette is used
+ *   { type: 'gradient', axis: 'y', colors: ['#ff0040', '#ffb6c1'] }
+ *       blend along an axis across the formation's bounding box
+ *   { type: 'radial', colors: ['#fff', '#ffd700'] }
+ *       blend from the centre outwards
+ *   'points'
+ *       the per-point colours the generator produced (images, SVG,
+ *       models); falls back to the palette when there are none
+ *
+ * Gradient and radial schemes take optional `stops` (0–1, one per colour,
+ * ascending); otherwise the colours are spread evenly.  Any scheme may set
+ * `strength` (0–1) to only tint the palette colours instead of replacing
+ * them.
+ *
+ * Colours are CSS strings, converted the same way as the particle palette
+ * (THREE.Color components), so a scheme listing the palette's colours
+ * looks exactly like it.
+ */
+import * as THREE from 'three';
+
+const DEFAULTS = {
+  palette:  { colors: null, strength: 1 },
+  gradient: { axis: 'y', colors: ['#ff69b4', '#ffffff'], stops: null, strength: 1 },
+  radial:   { colors: ['#ffffff', '#ff69b4'], stops: null, strength: 1 },
+  points:   { strength: 1 },
+};
+
+export const COLOR_SCHEME_TYPES = Object.keys(DEFAULTS);
+
+const AXES = { x: 0, y: 1, z: 2 };
+
+/**
+ * Fill in defaults; accepts a type name or a (partial) scheme object.
+ * Throws on unknown types / axes so config mistakes surface early.
+ */
+export function normalizeColorScheme(spec) {
+  const s = typeof spec === 'string' ? { type: spec } : { ...spec };
+  if (!DEFAULTS[s.type]) throw new Error(`Unknown color scheme "${s.type}"`);
+
+  const out = { ...DEFAULTS[s.type], ...s };
+  if (out.type === 'gradient' && !(out.axis in AXES)) {
+    throw new Error(`Unknown gradient axis "${out.axis}"`);
+  }
+  if (out.colors) {
+    if (!Array.isArray(out.colors) || out.colors.length === 0) {
+      throw new Error(`Color scheme "${out.type}" needs a non-empty "colors" list`);
+    }
+    out.rgb = out.colors.map(toRgb);
+  }
+  if (out.stops != null) {
+    if (!('stops' in DEFAULTS[out.type])) {
+      throw new Error(`Color scheme "${out.type}" doesn't take "stops"`);
+    }
+    if (!Array.isArray(out.stops) || out.stops.length !== out.colors.length) {
+      throw new Error(`Color scheme "${out.type}": "stops" must match "colors"`);
+    }
+  }
+  if (!(out.strength >= 0 && out.strength <= 1)) {
+    throw new Error(`Color scheme "${out.type}": "strength" must be between 0 and 1`);
+  }
+  return out;
+}
+
+/** CSS colour → [r, g, b], 0–1, as the palette stores it */
+export function toRgb(css) {
+  const { r, g, b } = new THREE.Color(css);
+  return [r, g, b];
+}
+
+/**
+ * Per-particle colours for a normalised scheme (flat rgb, 0–1), or null
+ * when the particles should keep their palette colours.
+ *
+ * @param {object} scheme          from normalizeColorScheme()
+ * @param {Float32Array} positions target position of each particle
+ * @param {?Float32Array} pointColors generator colours, same order
+ * @param {Float32Array} randoms   per-particle random seed (0–1)
+ */
+export function schemeColors(scheme, positions, pointColors, randoms) {
+  const count = positions.length / 3;
+
+  switch (scheme.type) {
+    case 'points':
+      return pointColors;
+
+    case 'palette': {
+      if (!scheme.rgb) return null;
+      const out = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        const rgb = scheme.rgb[Math.floor(randoms[i] * scheme.rgb.length) % scheme.rgb.length];
+        out.set(rgb, i * 3);
+      }
+      return out;
+    }
+
+    case 'gradient': {
+      const axis = AXES[scheme.axis];
+      let min = Infinity, max = -Infinity;
+      for (let i = 0; i < count; i++) {
+        min = Math.min(min, positions[i * 3 + axis]);
+        max = Math.max(max, positions[i * 3 + axis]);
+      }
+      const range = Math.max(max - min, 1e-6);
+      return rampColors(scheme, count, (i) => (positions[i * 3 + axis] - min) / range);
+    }
+
+    case 'radial': {
+      const dist = new Float32Array(count);
+      let max = 1e-6;
+      for (let i = 0; i < count; i++) {
+        dist[i] = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        max = Math.max(max, dist[i]);
+      }
+      return rampColors(scheme, count, (i) => dist[i] / max);
+    }
+  }
+  return null;
+}
+
+/** Colour of every particle at its ramp position t(i) ∈ [0, 1] */
+function rampColors(scheme, count, t) {
+  const { rgb } = scheme;
+  const stops = scheme.stops || rgb.map((_, k) => (rgb.length > 1 ? k / (rgb.length - 1) : 0));
+  const out = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const x = t(i);
+    let k = 0;
+    while (k < stops.length - 2 && x > stops[k + 1]) k++;
+    const span = stops[k + 1] - stops[k];
+    const f = rgb.length > 1 && span > 0 ? Math.min(Math.max((x - stops[k]) / span, 0), 1) : 0;
+    const a = rgb[k];
+    const b = rgb[Math.min(k + 1, rgb.length - 1)];
+    out[i * 3]     = a[0] + (b[0] - a[0]) * f;
+    out[i * 3 + 1] = a[1] + (b[1] - a[1]) * f;
+    out[i * 3 + 2] = a[2] + (b[2] - a[2]) * f;
+  }
+  return out;
+}
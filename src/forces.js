@@ -0,0 +1,153 @@
+/**
+ * forces.js
+ * ──────────
+ * Force fields that push particles around on top of their formation.  A
+ * field is a plain object (or just its type name as a string):
+ *
+ *   { type: 'attract',    strength: 0.06, radius: 4 }
+ *       pulls towards `position` (a negative strength pushes away)
+ *   { type: 'repel',      strength: 0.06, radius: 4 }
+ *       pushes away from `position`
+ *   { type: 'vortex',     strength: 0.08, radius: 6, axis: { z: 1 }, pull: 0 }
+ *       swirls around `axis` through `position`; `pull` > 0 also sucks
+ *       particles in (a spiral), < 0 flings them out
+ *   { type: 'turbulence', strength: 0.03, scale: 0.4, speed: 0.5 }
+ *       curl-noise swirls; `scale` is the size of the eddies (smaller =
+ *       bigger eddies), `speed` how fast they drift
+ *   { type: 'wind',       strength: 0.02, direction: { x: 1 } }
+ *       a steady push along `direction`
+ *   { type: 'shockwave',  strength: 0.5, radius: 12, speed: 16, thickness: 2 }
+ *       a ring expanding from `position` at `speed` units/s that shoves
+ *       the particles it passes outward, gone once it reaches `radius`
+ *
+ * Every field also takes:
+ *   position  — { x, y, z } in formation space (default the centre)
+ *   radius    — no effect beyond this distance (turbulence and wind reach
+ *               everywhere unless given one)
+ *   falloff   — how strength fades towards the radius: 'constant' |
+ *               'linear' | 'smooth' | 'inverse' (see FALLOFFS)
+ *   duration  — seconds until the field removes itself (default: until
+ *               removed; a shockwave ends on its own)
+ *
+ * Strengths are displacements per frame, like the transition speeds: the
+ * particles keep flying back to their formation, so a field bends the
+ * shape rather than destroying it.
+ *
+ * The position shader implements the forces; this module only normalises
+ * specs and packs them into uniforms.
+ */
+
+/** Field types understood by the position shader */
+export const FIELD_TYPES = {
+  attract:    0,
+  repel:      1,
+  vortex:     2,
+  turbulence: 3,
+  wind:       4,
+  shockwave:  5,
+};
+
+/** Falloff curves understood by the position shader */
+export const FALLOFFS = {
+  constant: 0,
+  linear:   1,
+  smooth:   2,   // smoothstep: soft edge, near-full strength inside
+  inverse:  3,   // sharp peak at the centre, long tail
+};
+
+const DEFAULTS = {
+  attract:    { strength: 0.06, radius: 4, falloff: 'linear' },
+  repel:      { strength: 0.06, radius: 4, falloff: 'linear' },
+  vortex:     { strength: 0.08, radius: 6, falloff: 'smooth', axis: { x: 0, y: 0, z: 1 }, pull: 0 },
+  turbulence: { strength: 0.03, radius: Infinity, falloff: 'constant', scale: 0.4, speed: 0.5 },
+  wind:       { strength: 0.02, radius: Infinity, falloff: 'constant', direction: { x: 1, y: 0, z: 0 } },
+  shockwave:  { strength: 0.5, radius: 12, falloff: 'linear', speed: 16, thickness: 2 },
+};
+
+export const FIELD_NAMES = Object.keys(DEFAULTS);
+
+/** Stand-in for an infinite radius in the shader */
+const FAR = 1e6;
+
+const NO_DIRECTION = { x: 0, y: 0, z: 0 };
+
+/**
+ * Fill in defaults; accepts a type name or a (partial) spec object.
+ * Throws on unknown types / falloffs and bad numbers.
+ */
+export function normalizeField(spec) {
+  const f = typeof spec === 'string' ? { type: spec } : { ...spec };
+  if (!DEFAULTS[f.type]) throw new Error(`Unknown field type "${f.type}"`);
+
+  const out = { ...DEFAULTS[f.type], duration: null, ...f };
+  out.position = toVector(out.position, 'position');
+
+  if (!(out.falloff in FALLOFFS)) throw new Error(`Unknown falloff "${out.falloff}"`);
+  if (!Number.isFinite(out.strength)) throw new Error('Field "strength" must be a number');
+  if (!(out.radius > 0)) throw new Error('Field "radius" must be a positive number');
+  if (out.duration !== null && !(out.duration > 0)) {
+    throw new Error('Field "duration" must be a positive number');
+  }
+
+  if (out.type === 'vortex') out.axis = toDirection(out.axis, 'axis');
+  if (out.type === 'wind') out.direction = toDirection(out.direction, 'direction');
+  if (out.type === 'shockwave') {
+    if (!(out.speed > 0) || !(out.thickness > 0) || !Number.isFinite(out.radius)) {
+      throw new Error('A shockwave needs a positive "speed", "thickness" and finite "radius"');
+    }
+    out.duration ??= (out.radius + out.thickness) / out.speed;
+  }
+  return out;
+}
+
+function toVector(v = {}, name) {
+  const out = { x: v.x ?? 0, y: v.y ?? 0, z: v.z ?? 0 };
+  if (![out.x, out.y, out.z].every(Number.isFinite)) {
+    throw new Error(`Field "${name}" must be { x, y, z } numbers`);
+  }
+  return out;
+}
+
+function toDirection(v, name) {
+  const out = toVector(v, name);
+  const len = Math.hypot(out.x, out.y, out.z);
+  if (len === 0) throw new Error(`Field "${name}" can't be zero`);
+  return { x: out.x / len, y: out.y / len, z: out.z / len };
+}
+
+/**
+ * Write one field into slot `i` of the shader uniforms, `age` seconds
+ * after it started (`elapsed` drives the turbulence drift).
+ *
+ *   uFields[i]      = position, strength
+ *   uFieldShapes[i] = radius, falloff, type, extra (pull / scale / thickness)
+ *   uFieldDirs[i]   = axis or direction, phase (drift / ring radius)
+ *
+ * A field without a type is an attractor with whatever its spec sets.
+ */
+export function packField(u, i, field, age, elapsed) {
+  const type = field.type ?? 'attract';
+  const d = DEFAULTS[type];
+  const p = field.position;
+  const radius = Math.min(field.radius ?? d.radius, FAR);
+  let dir = NO_DIRECTION;
+  let extra = 0;
+  let phase = 0;
+
+  if (type === 'vortex') {
+    dir = field.axis ?? d.axis;
+    extra = field.pull ?? d.pull;
+  } else if (type === 'wind') {
+    dir = field.direction ?? d.direction;
+  } else if (type === 'turbulence') {
+    extra = field.scale ?? d.scale;
+    phase = elapsed * (field.speed ?? d.speed);
+  } else if (type === 'shockwave') {
+    extra = field.thickness ?? d.thickness;
+    phase = age * (field.speed ?? d.speed);
+  }
+
+  u.uFields.value[i].set(p.x, p.y, p.z, field.strength ?? d.strength);
+  u.uFieldShapes.value[i].set(radius, FALLOFFS[field.falloff ?? d.falloff], FIELD_TYPES[type], extra);
+  u.uFieldDirs.value[i].set(dir.x, dir.y, dir.z, phase);
+}
@@ -0,0 +1,154 @@
+/**
+ * formationStore.js
+ * ──────────────────
+ * Generates formations ({ positions, colors }, see generateFormation) on
+ * demand and caches them by formation id.
+ *
+ * Built-in generators run in a Web Worker (formationWorker.js) and hand back
+ * their Float32Arrays as transferables; 'custom' generators hold a function
+ * and 'svg' / 'model' need DOM APIs, so those run on the main thread.  If the worker
+ * can't be created the store falls back to the main thread for everything.
+ *
+ * Generators also get the current viewport (see setViewport) so text can
+ * be sized to fit the screen.
+ */
+import {
+  loadFormationAssets,
+  generateFormation,
+  dependsOnViewport,
+  needsMainThread,
+} from './textPoints.js';
+
+export class FormationStore {
+  /**
+   * @param {number} count  points per formation
+   */
+  constructor(count) {
+    this.count = count;
+
+    /** id → Promise<{positions: Float32Array, colors: ?Float32Array}> */
+    this._cache = new Map();
+
+    /** id → def, for the formations in the cache */
+    this._defs = new Map();
+
+    /** Visible area at z = 0, {width, height} in world units, or null */
+    this.viewport = null;
+
+    /** jobId → { resolve, reject } */
+    this._jobs = new Map();
+    this._nextJobId = 1;
+
+    this._worker = null;
+    try {
+      this._worker = new Worker(
+        new URL('./formationWorker.js', import.meta.url),
+        { type: 'module' },
+      );
+      this._worker.onmessage = (e) => this._onWorkerMessage(e.data);
+      this._worker.onerror = (e) => {
+        console.warn('Formation worker failed, generating on main thread', e);
+        this._abandonWorker();
+      };
+    } catch (err) {
+      console.warn('Formation worker unavailable, generating on main thread', err);
+    }
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /**
+   * Points for a formation definition, generated once and then cached
+   * under `def.id`.
+   * @returns {Promise<{positions: Float32Array, colors: ?Float32Array}>}
+   */
+  get(def) {
+    if (!this._cache.has(def.id)) {
+      const job = this._generate(def).catch((err) => {
+        this.invalidate(def.id);   // allow a retry
+        throw err;
+      });
+      this._cache.set(def.id, job);
+      this._defs.set(def.id, def);
+    }
+    return this._cache.get(def.id);
+  }
+
+  /** Whether a formation has been requested (it may still be generating) */
+  has(id) {
+    return this._cache.has(id);
+  }
+
+  /** Drop a cached formation, e.g. after its definition changed */
+  invalidate(id) {
+    this._cache.delete(id);
+    this._defs.delete(id);
+  }
+
+  /**
+   * Change the viewport formations are fitted to.  Cached formations that
+   * depend on it are dropped; their ids are returned so the caller can
+   * regenerate the one on screen.
+   */
+  setViewport(viewport) {
+    this.viewport = viewport;
+    const stale = [...this._defs.values()].filter(dependsOnViewport).map((def) => def.id);
+    stale.forEach((id) => this.invalidate(id));
+    return stale;
+  }
+
+  dispose() {
+    this._abandonWorker();
+    this._cache.clear();
+    this._defs.clear();
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Internals                               */
+  /* ──────────────────────────────────────── */
+
+  _generate(def) {
+    if (needsMainThread(def) || !this._worker) {
+      return this._generateHere(def);
+    }
+
+    const jobId = this._nextJobId++;
+    const { generate, ...plainDef } = def;   // functions can't be cloned
+    return new Promise((resolve, reject) => {
+      this._jobs.set(jobId, { def, resolve, reject });
+      this._worker.postMessage({ jobId, def: plainDef, count: this.count, context: this._context() });
+    });
+  }
+
+  async _generateHere(def) {
+    await loadFormationAssets(def);
+    return generateFormation(def, this.count, this._context());
+  }
+
+  _context() {
+    return { viewport: this.viewport };
+  }
+
+  _onWorkerMessage({ jobId, formation, error }) {
+    const job = this._jobs.get(jobId);
+    if (!job) return;
+    this._jobs.delete(jobId);
+
+    if (error) job.reject(new Error(error));
+    else job.resolve(formation);
+  }
+
+  /** Stop using the worker and finish pending jobs on the main thread */
+  _abandonWorker() {
+    if (!this._worker) return;
+    this._worker.terminate();
+    this._worker = null;
+
+    for (const job of this._jobs.values()) {
+      this._generateHere(job.def).then(job.resolve, job.reject);
+    }
+    this._jobs.clear();
+  }
+}
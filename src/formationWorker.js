@@ -0,0 +1,25 @@
+/**
+ * formationWorker.js
+ * ───────────────────
+ * Web Worker that runs the built-in formation generators off the main
+ * thread, so sampling text / surfaces never stalls the animation.
+ *
+ * Message in:  { jobId, def, count, context }   (def without functions)
+ * Message out: { jobId, formation }    ({ positions, colors }, buffers transferred)
+ *          or: { jobId, error }
+ */
+import { loadFormationAssets, generateFormation } from './textPoints.js';
+
+self.onmessage = async (e) => {
+  const { jobId, def, count, context } = e.data;
+
+  try {
+    await loadFormationAssets(def);
+    const formation = generateFormation(def, count, context);
+    const transfer = [formation.positions.buffer];
+    if (formation.colors) transfer.push(formation.colors.buffer);
+    self.postMessage({ jobId, formation }, transfer);
+  } catch (err) {
+    self.postMessage({ jobId, error: err.message || String(err) });
+  }
+};
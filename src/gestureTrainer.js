@@ -0,0 +1,167 @@
+/**
+ * gestureTrainer.js
+ * ──────────────────
+ * User-trainable hand poses.  A few recorded samples of a pose are stored
+ * as normalised landmark vectors and new frames are classified with k-NN.
+ *
+ * Normalisation makes a pose look the same wherever the hand is:
+ *   • translation — wrist moved to the origin
+ *   • scale       — divided by palm length (wrist → middle-finger MCP)
+ *   • rotation    — turned in the image plane so wrist → middle MCP points up
+ *   • handedness  — left hands mirrored, so one sample set serves both hands
+ * That also makes custom poses immune to the "hand rotated sideways"
+ * failures of the hand-tuned tip-vs-PIP checks in handTracking.js.
+ *
+ * Gestures (samples + the formation each is bound to) persist in
+ * localStorage.
+ */
+
+const STORAGE_KEY = 'caro-cosmos.customGestures';
+
+/** Custom gesture ids are prefixed so they never clash with GESTURES */
+export const CUSTOM_PREFIX = 'custom:';
+
+/** Neighbours that vote, and the max mean landmark distance (palm units) */
+const K = 3;
+const MAX_DISTANCE = 0.28;
+
+/**
+ * Landmarks → Float32Array(63) in the normalised frame described above.
+ */
+export function normalizeLandmarks(lm, handedness = 'Right') {
+  const wrist = lm[0];
+  const mid = lm[9];
+  const ux = mid.x - wrist.x;
+  const uy = mid.y - wrist.y;
+  const palm = Math.hypot(ux, uy) || 1;
+
+  /* Rotate so the palm axis maps to (0, −1), i.e. "up" in image coords */
+  const angle = Math.atan2(ux, -uy);
+  const cos = Math.cos(-angle);
+  const sin = Math.sin(-angle);
+  const mirror = handedness === 'Left' ? -1 : 1;
+
+  const out = new Float32Array(lm.length * 3);
+  for (let i = 0; i < lm.length; i++) {
+    const x = (lm[i].x - wrist.x) / palm;
+    const y = (lm[i].y - wrist.y) / palm;
+    out[i * 3]     = (x * cos - y * sin) * mirror;
+    out[i * 3 + 1] = x * sin + y * cos;
+    out[i * 3 + 2] = (lm[i].z - wrist.z) / palm;
+  }
+  return out;
+}
+
+/** Mean per-landmark euclidean distance between two normalised vectors */
+function poseDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 3) {
+    sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+  }
+  return sum / (a.length / 3);
+}
+
+export class GestureClassifier {
+  constructor(storage = globalThis.localStorage) {
+    this._storage = storage;
+
+    /** name → { samples: Float32Array[], formation: ?string } */
+    this.gestures = {};
+
+    this.load();
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Training                                */
+  /* ──────────────────────────────────────── */
+
+  /** Add one sample of the pose `name` (creates the gesture if needed) */
+  addSample(name, lm, handedness) {
+    if (!this.gestures[name]) this.gestures[name] = { samples: [], formation: null };
+    this.gestures[name].samples.push(normalizeLandmarks(lm, handedness));
+  }
+
+  /** Bind a gesture to a formation id (or null to unbind) */
+  bind(name, formationId) {
+    if (this.gestures[name]) this.gestures[name].formation = formationId;
+  }
+
+  remove(name) {
+    delete this.gestures[name];
+  }
+
+  /** Gesture id as used in the gesture → formation map */
+  static idOf(name) {
+    return CUSTOM_PREFIX + name;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Classification                          */
+  /* ──────────────────────────────────────── */
+
+  /**
+   * k-NN over every stored sample.  The K nearest samples vote, weighted
+   * by 1 / distance so a gesture with many samples can't outvote a much
+   * closer one.  Returns the prefixed gesture id of the winner, or null if
+   * nothing is close enough.
+   */
+  classify(lm, handedness) {
+    const names = Object.keys(this.gestures);
+    if (names.length === 0) return null;
+
+    const v = normalizeLandmarks(lm, handedness);
+    const nearest = [];
+    for (const name of names) {
+      for (const sample of this.gestures[name].samples) {
+        const d = poseDistance(v, sample);
+        if (d > MAX_DISTANCE) continue;
+        nearest.push({ name, d });
+      }
+    }
+    if (nearest.length === 0) return null;
+
+    nearest.sort((a, b) => a.d - b.d);
+    const votes = {};
+    for (const { name, d } of nearest.slice(0, K)) {
+      votes[name] = (votes[name] || 0) + 1 / (d + 1e-3);
+    }
+
+    const winner = Object.keys(votes).reduce((a, b) => (votes[b] > votes[a] ? b : a));
+    return GestureClassifier.idOf(winner);
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Persistence                             */
+  /* ──────────────────────────────────────── */
+
+  load() {
+    this.gestures = {};
+    try {
+      const raw = this._storage?.getItem(STORAGE_KEY);
+      if (!raw) return;
+      for (const [name, g] of Object.entries(JSON.parse(raw))) {
+        this.gestures[name] = {
+          samples: g.samples.map((s) => Float32Array.from(s)),
+          formation: g.formation ?? null,
+        };
+      }
+    } catch (err) {
+      console.warn('Could not read saved gestures', err);
+    }
+  }
+
+  save() {
+    const data = {};
+    for (const [name, g] of Object.entries(this.gestures)) {
+      data[name] = {
+        samples: g.samples.map((s) => Array.from(s, (x) => Math.round(x * 1000) / 1000)),
+        formation: g.formation,
+      };
+    }
+    try {
+      this._storage?.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.warn('Could not save gestures', err);
+    }
+  }
+}
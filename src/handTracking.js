@@ -2,19 +2,33 @@
  * handTracking.js
  * ────────────────
  * Integrates MediaPipe Hands to detect hand landmarks from the webcam.
- * Recognises 6 distinct gestures and exposes the index-finger-tip position.
+ * Tracks up to two hands (with handedness), recognises 6 one-hand gestures
+ * per hand plus two-hand gestures, and exposes each index-finger-tip
+ * position and the distance between the hands.
  *
- * Gestures detected:
- *   ☝️  INDEX_UP   — solo índice arriba        → Planeta
- *   ✌️  PEACE      — índice + medio             → "Carolina"
- *   🤘 ROCK       — índice + meñique            → "Te Quiero"
- *   🤟 ILY        — pulgar + índice + meñique   → Corazón
- *   🖐️  OPEN       — todos los dedos abiertos   → Cosmos / explosión
- *   ✊  FIST       — puño cerrado                → Comprimir
+ * Besides the discrete gestures every hand also reports smoothed continuous
+ * controls: pinch (thumb–index opening), roll / yaw of the palm and its
+ * apparent size (a proxy for distance to the camera).
+ *
+ * Inference runs at most `inferenceRate` times per second with the model
+ * picked by `modelComplexity`; the performance governor lowers both on
+ * slow devices (see performance.js).
+ *
+ * Gestures detected (the formation each one triggers lives in sceneConfig.js):
+ *   ☝️  INDEX_UP   — solo índice arriba
+ *   ✌️  PEACE      — índice + medio
+ *   🤘 ROCK       — índice + meñique
+ *   🤟 ILY        — pulgar + índice + meñique
+ *   🖐️  OPEN       — todos los dedos abiertos
+ *   ✊  FIST       — puño cerrado
+ *   🫶 HEART_HANDS — dos manos formando un corazón (índices y pulgares juntos)
  *   null           — sin mano detectada
  */
 
 import { Hands } from '@mediapipe/hands';
+import { assetUrl } from './assets.js';
+import { MotionRecognizer } from './motionGestures.js';
+import { CUSTOM_PREFIX } from './gestureTrainer.js';
 
 /* ─── Gesture constants ─── */
 export const GESTURES = {
@@ -24,47 +38,185 @@ export const GESTURES = {
   ILY:      'ILY',
   OPEN:     'OPEN',
   FIST:     'FIST',
+  HEART_HANDS: 'HEART_HANDS',
+};
+
+/* Gestures that need both hands */
+export const TWO_HAND_GESTURES = [GESTURES.HEART_HANDS];
+
+/* Emoji per gesture (used by the gesture guide) */
+export const GESTURE_EMOJI = {
+  [GESTURES.INDEX_UP]: '☝️',
+  [GESTURES.PEACE]:    '✌️',
+  [GESTURES.ROCK]:     '🤘',
+  [GESTURES.ILY]:      '🤟',
+  [GESTURES.OPEN]:     '🖐️',
+  [GESTURES.FIST]:     '✊',
+  [GESTURES.HEART_HANDS]: '🫶',
 };
 
 /* Emoji + label map for UI */
 export const GESTURE_LABELS = {
-  [GESTURES.INDEX_UP]: '☝️  Índice — Planeta',
-  [GESTURES.PEACE]:    '✌️  Paz — Carolina',
-  [GESTURES.ROCK]:     '🤘 Rock — Te Quiero',
-  [GESTURES.ILY]:      '🤟 Te Quiero — Corazón',
-  [GESTURES.OPEN]:     '🖐️  Abierta — Cosmos',
-  [GESTURES.FIST]:     '✊ Puño — Concentrar',
+  [GESTURES.INDEX_UP]: '☝️  Índice',
+  [GESTURES.PEACE]:    '✌️  Paz',
+  [GESTURES.ROCK]:     '🤘 Rock',
+  [GESTURES.ILY]:      '🤟 Te Quiero',
+  [GESTURES.OPEN]:     '🖐️  Abierta',
+  [GESTURES.FIST]:     '✊ Puño',
+  [GESTURES.HEART_HANDS]: '🫶 Corazón con las manos',
 };
 
+/** Require N consecutive identical detections to switch */
+const DEBOUNCE = 5;
+
+/**
+ * Feed one raw detection into a debounce state; returns the stable value.
+ */
+function debounce(state, raw) {
+  if (raw === state.buffer) {
+    state.count++;
+  } else {
+    state.buffer = raw;
+    state.count = 1;
+  }
+  if (state.count >= DEBOUNCE) state.stable = raw;
+  return state.stable;
+}
+
+function newDebounceState() {
+  return { buffer: null, count: 0, stable: null };
+}
+
+function dist2d(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/** Wrist → middle-finger MCP, the reference length for a hand */
+function palmSize(lm) {
+  return dist2d(lm[0], lm[9]);
+}
+
+/** Exponential smoothing factor for continuous controls (0–1, 1 = raw) */
+const CONTROL_SMOOTHING = 0.3;
+
+/**
+ * Continuous controls from one frame of landmarks.
+ *   pinch — 0 (thumb and index touching) … 1 (wide open)
+ *   roll  — palm tilt in the image plane, radians, + = clockwise as the
+ *           user sees it (the preview is mirrored)
+ *   yaw   — palm turn around the vertical axis, radians, + = pinky side
+ *           towards the camera
+ *   size  — palm length in normalised image units (bigger = closer)
+ */
+function measureControls(lm) {
+  const palm = palmSize(lm);
+
+  const pinchRaw = dist2d(lm[4], lm[8]) / palm;
+  const pinch = Math.min(1, Math.max(0, (pinchRaw - 0.15) / 1.0));
+
+  const up = { x: lm[9].x - lm[0].x, y: lm[9].y - lm[0].y };
+  const roll = Math.atan2(-up.x, -up.y);
+
+  const across = { x: lm[17].x - lm[5].x, z: lm[17].z - lm[5].z };
+  const yaw = Math.atan2(-across.z, Math.abs(across.x));
+
+  return { pinch, roll, yaw, size: palm };
+}
+
+function smoothControls(prev, next) {
+  if (!prev) return next;
+  const k = CONTROL_SMOOTHING;
+  const out = {};
+  for (const key of Object.keys(next)) out[key] = prev[key] + (next[key] - prev[key]) * k;
+  return out;
+}
+
 export class HandTracker {
   constructor() {
-    /** Normalised finger position {x,y} or null */
+    /** Normalised finger position {x,y} of the primary hand, or null */
     this.fingerPos = null;
 
-    /** Current detected gesture name, or null */
+    /** Current gesture: a two-hand gesture if any, else the primary hand's */
     this.gesture = null;
 
+    /**
+     * Every hand in view, primary first:
+     * [{ handedness: 'Left'|'Right', gesture, fingerPos, controls, landmarks }]
+     * where `controls` is { pinch, roll, yaw, size } (see measureControls)
+     */
+    this.hands = [];
+
+    /** Distance between the two palms (normalised image units), or null */
+    this.handSpread = null;
+
     /** Whether the camera/model is active */
     this.active = false;
 
     this._video = null;
     this._hands = null;
+    this._starting = null;
     this._previewCtx = null;
     this._rafId = null;
 
-    /** Debounce: require N consecutive identical detections to switch */
-    this._gestureBuffer = null;
-    this._gestureCount = 0;
-    this._DEBOUNCE = 5;
+    /** Debounce state per handedness, plus one for two-hand gestures */
+    this._handDebounce = { Left: newDebounceState(), Right: newDebounceState() };
+    this._twoHandDebounce = newDebounceState();
+
+    /** Last smoothed controls per handedness */
+    this._controls = { Left: null, Right: null };
+
+    /**
+     * Called with { type, hand, … } whenever a motion gesture completes
+     * (see motionGestures.js).
+     */
+    this.onMotionGesture = null;
+    this._motion = new MotionRecognizer();
+
+    /** Optional GestureClassifier with user-trained poses */
+    this.classifier = null;
+
+    /** Called if tracking dies after start() (e.g. the model crashes) */
+    this.onError = null;
+
+    /** Max hand-tracking runs per second (0 = every animation frame) */
+    this.inferenceRate = 30;
+
+    /** Measured runs per second and smoothed duration of one run (ms) */
+    this.stats = { inferenceRate: 0, inferenceTime: 0 };
+
+    this._modelComplexity = 1;
+    this._lastSend = 0;
+    this._runs = [];
+  }
+
+  /** MediaPipe model: 0 = lite (faster), 1 = full (more accurate) */
+  get modelComplexity() {
+    return this._modelComplexity;
+  }
+
+  set modelComplexity(value) {
+    if (value === this._modelComplexity) return;
+    this._modelComplexity = value;
+    this._hands?.setOptions({ modelComplexity: value });
   }
 
   /* ──────────────────────────────────────── */
   /*  Public API                              */
   /* ──────────────────────────────────────── */
 
-  async start(previewCanvas, onStatus = () => {}) {
-    if (this.active) return;
+  /**
+   * Open the camera and load the model.  Calling it again while that is
+   * under way returns the same promise instead of opening a second stream.
+   */
+  start(previewCanvas, onStatus = () => {}) {
+    if (this.active) return Promise.resolve();
+    this._starting ??= this._start(previewCanvas, onStatus).finally(() => {
+      this._starting = null;
+    });
+    return this._starting;
+  }
 
+  async _start(previewCanvas, onStatus) {
     onStatus('Solicitando cámara…');
 
     /* 1 – Open webcam */
@@ -85,26 +237,38 @@ export class HandTracker {
     onStatus('Cargando modelo MediaPipe…');
 
     this._hands = new Hands({
-      locateFile: (file) =>
-        `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
+      locateFile: (file) => assetUrl(`mediapipe/${file}`),
     });
 
     this._hands.setOptions({
-      maxNumHands: 1,
-      modelComplexity: 1,
+      maxNumHands: 2,
+      modelComplexity: this._modelComplexity,
       minDetectionConfidence: 0.6,
       minTrackingConfidence: 0.5,
     });
 
     this._hands.onResults((results) => this._onResults(results));
 
+    /* Load the model now, so a missing file fails here and not silently
+       inside the frame loop */
+    try {
+      await this._hands.initialize();
+    } catch (err) {
+      stream.getTracks().forEach((t) => t.stop());
+      previewCanvas.style.display = 'none';
+      this._hands.close();
+      this._hands = null;
+      throw new Error('Could not load the MediaPipe hand model', { cause: err });
+    }
+
     this.active = true;
     onStatus('✨ Haz gestos con tu mano');
 
     this._loop();
   }
 
-  stop() {
+  /** Stop the camera and free the model; resolves once it is released */
+  async stop() {
     this.active = false;
     if (this._rafId) cancelAnimationFrame(this._rafId);
     if (this._video?.srcObject) {
@@ -112,9 +276,24 @@ export class HandTracker {
     }
     this.fingerPos = null;
     this.gesture = null;
+    this.hands = [];
+    this.handSpread = null;
+    this._runs = [];
+    this.stats.inferenceRate = 0;
+    this._motion.reset('Left');
+    this._motion.reset('Right');
 
     const preview = document.getElementById('camera-preview');
     if (preview) preview.style.display = 'none';
+
+    /* Free the WASM graph and its GL context; start() makes a new one */
+    const hands = this._hands;
+    this._hands = null;
+    try {
+      await hands?.close();
+    } catch (err) {
+      console.warn('MediaPipe Hands did not close cleanly', err);
+    }
   }
 
   /* ──────────────────────────────────────── */
@@ -219,6 +398,22 @@ export class HandTracker {
     return null;
   }
 
+  /**
+   * Gestures made with both hands together.
+   * 🫶 Heart: index tips touch at the top, thumb tips touch below them.
+   */
+  _classifyTwoHandGesture(a, b) {
+    const palm = (palmSize(a) + palmSize(b)) / 2;
+    const indexGap = dist2d(a[8], b[8]);
+    const thumbGap = dist2d(a[4], b[4]);
+    const indexAboveThumb = a[8].y < a[4].y && b[8].y < b[4].y;
+
+    if (indexGap < palm * 0.35 && thumbGap < palm * 0.35 && indexAboveThumb) {
+      return GESTURES.HEART_HANDS;
+    }
+    return null;
+  }
+
   /* ──────────────────────────────────────── */
   /*  Internal loop                           */
   /* ──────────────────────────────────────── */
@@ -226,11 +421,37 @@ export class HandTracker {
   _loop() {
     if (!this.active) return;
 
-    this._hands.send({ image: this._video }).then(() => {
+    const now = performance.now();
+    if (this.inferenceRate > 0 && now - this._lastSend < 1000 / this.inferenceRate) {
+      this._rafId = requestAnimationFrame(() => this._loop());
+      return;
+    }
+    this._lastSend = now;
+
+    /* A run still pending when stop() closed its instance settles late;
+       by then start() may have made a new one with a loop of its own */
+    const hands = this._hands;
+    hands.send({ image: this._video }).then(() => {
+      if (hands !== this._hands) return;
+      this._recordRun(now);
       this._rafId = requestAnimationFrame(() => this._loop());
+    }, (err) => {
+      if (!this.active || hands !== this._hands) return;   // closed by stop() mid-frame
+      console.error('Hand tracking stopped', err);
+      this.stop();
+      this.onError?.(err);
     });
   }
 
+  /** Update `stats` after a run that started at `start` (ms) */
+  _recordRun(start) {
+    const end = performance.now();
+    this.stats.inferenceTime += (end - start - this.stats.inferenceTime) * 0.1;
+    this._runs.push(end);
+    while (this._runs[0] < end - 1000) this._runs.shift();
+    this.stats.inferenceRate = this._runs.length;
+  }
+
   _onResults(results) {
     /* Draw webcam preview */
     if (this._previewCtx && this._video) {
@@ -242,38 +463,82 @@ export class HandTracker {
       ctx.restore();
     }
 
-    if (
-      results.multiHandLandmarks &&
-      results.multiHandLandmarks.length > 0
-    ) {
-      const lm = results.multiHandLandmarks[0];
+    const all = results.multiHandLandmarks || [];
+    const hands = [];
+    const now = performance.now() / 1000;
+
+    for (let i = 0; i < all.length; i++) {
+      const lm = all[i];
+
+      /* MediaPipe labels assume a mirrored (selfie) image; ours isn't */
+      const label = results.multiHandedness?.[i]?.label;
+      let handedness = label === 'Left' ? 'Right' : 'Left';
+      // Two hands can get the same label; keep their debounce states apart
+      if (hands.some((h) => h.handedness === handedness)) {
+        handedness = handedness === 'Left' ? 'Right' : 'Left';
+      }
 
       /* ── Finger position (index tip) ── */
       const tip = lm[8];
-      this.fingerPos = {
+      const fingerPos = {
         x: -(tip.x * 2 - 1),
         y: -(tip.y * 2 - 1),
       };
 
       /* ── Gesture classification with debounce ── */
-      const raw = this._classifyGesture(lm);
-      if (raw === this._gestureBuffer) {
-        this._gestureCount++;
-      } else {
-        this._gestureBuffer = raw;
-        this._gestureCount = 1;
+      const raw = this.classifier?.classify(lm, handedness) || this._classifyGesture(lm);
+      const gesture = debounce(this._handDebounce[handedness], raw);
+
+      /* ── Continuous controls, smoothed per hand ── */
+      const controls = smoothControls(this._controls[handedness], measureControls(lm));
+      this._controls[handedness] = controls;
+
+      hands.push({ handedness, gesture, fingerPos, controls, landmarks: lm });
+
+      /* ── Motion gestures from the trajectory ── */
+      const motion = this._motion.update(handedness, now, lm, gesture);
+      if (motion && this.onMotionGesture) this.onMotionGesture(motion);
+    }
+
+    /* Hands that left the frame restart their smoothing / history */
+    for (const side of ['Left', 'Right']) {
+      if (!hands.some((h) => h.handedness === side)) {
+        this._controls[side] = null;
+        this._motion.reset(side);
       }
+    }
 
-      if (this._gestureCount >= this._DEBOUNCE) {
-        this.gesture = raw;
+    this.hands = hands;
+
+    if (hands.length > 0) {
+      const primary = hands[0];
+      this.fingerPos = primary.fingerPos;
+
+      /* ── Two-hand gesture + spread ── */
+      let twoHand = null;
+      if (hands.length === 2) {
+        const [a, b] = hands;
+        twoHand = debounce(
+          this._twoHandDebounce,
+          this._classifyTwoHandGesture(a.landmarks, b.landmarks),
+        );
+        this.handSpread = dist2d(a.landmarks[9], b.landmarks[9]);
+      } else {
+        debounce(this._twoHandDebounce, null);
+        this.handSpread = null;
       }
 
+      const g = twoHand || primary.gesture;
+      if (g) this.gesture = g;
+
       /* ── Draw landmarks on preview ── */
       if (this._previewCtx) {
-        this._drawLandmarks(lm);
+        for (const hand of hands) this._drawLandmarks(hand.landmarks);
+        this._drawGestureLabel();
       }
     } else {
       this.fingerPos = null;
+      this.handSpread = null;
       // Don't clear gesture instantly — keep last known for a beat
     }
   }
@@ -315,11 +580,21 @@ export class HandTracker {
       ctx.fill();
     }
 
-    // Gesture label on preview
-    if (this.gesture && GESTURE_LABELS[this.gesture]) {
+  }
+
+  /**
+   * Current gesture label at the bottom of the preview canvas.
+   */
+  _drawGestureLabel() {
+    const ctx = this._previewCtx;
+    const g = this.gesture;
+    const label = g?.startsWith(CUSTOM_PREFIX)
+      ? `🎓 ${g.slice(CUSTOM_PREFIX.length)}`
+      : GESTURE_LABELS[g];
+    if (label) {
       ctx.fillStyle = '#fff';
       ctx.font = '13px Inter, sans-serif';
-      ctx.fillText(GESTURE_LABELS[this.gesture], 8, c.height - 10);
+      ctx.fillText(label, 8, ctx.canvas.height - 10);
     }
   }
 }
@@ -0,0 +1,295 @@
+/**
+ * imagePoints.js
+ * ───────────────
+ * Turns pictures into formations:
+ *
+ *   image — a photo / drawing (any format the browser decodes).  Particles
+ *           land on pixels with probability ∝ luminance or alpha and take
+ *           the pixel's colour.
+ *   svg   — vector paths from an SVG file, sampled over their filled area
+ *           ('fill') or along their outlines ('outline'), coloured with the
+ *           path's fill / stroke.
+ *
+ * Both generators return { positions, colors }.  Their sources are loaded
+ * up front with loadImage() / loadSvg() and cached by URL, so generation
+ * itself is synchronous like the other generators.  Images decode in the
+ * formation worker; SVG parsing needs DOMParser and runs on the main
+ * thread.
+ */
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { sampleSurface, searchCdf, fitScale } from './sampling.js';
+
+/** Longest side images are downscaled to before sampling */
+const MAX_IMAGE_SIZE = 256;
+
+/** Pictures may use more of the screen than text */
+const FIT_SHARE = { width: 0.85, height: 0.75 };
+
+export const IMAGE_MODES = ['luminance', 'alpha'];
+export const SVG_MODES = ['fill', 'outline'];
+
+/** url → { width, height, data: Uint8ClampedArray } */
+const _images = new Map();
+
+/** url → SVGLoader ShapePath[] */
+const _svgs = new Map();
+
+/* ────────────────────────────────────────────────── */
+/*  Loading                                           */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Fetch and decode an image, keeping its RGBA pixels (downscaled to
+ * MAX_IMAGE_SIZE).  Works in workers too (createImageBitmap +
+ * OffscreenCanvas).
+ */
+export async function loadImage(url) {
+  if (_images.has(url)) return _images.get(url);
+
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load image ${url}: HTTP ${res.status}`);
+  const bitmap = await createImageBitmap(await res.blob());
+
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const ctx = new OffscreenCanvas(width, height).getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const image = { width, height, data: ctx.getImageData(0, 0, width, height).data };
+  _images.set(url, image);
+  return image;
+}
+
+/** Fetch and parse an SVG file into paths (main thread only) */
+export async function loadSvg(url) {
+  if (_svgs.has(url)) return _svgs.get(url);
+
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load SVG ${url}: HTTP ${res.status}`);
+  const { paths } = new SVGLoader().parse(await res.text());
+  if (paths.length === 0) throw new Error(`SVG ${url} has no paths`);
+
+  _svgs.set(url, paths);
+  return paths;
+}
+
+/** Pixels of an image loadImage() has finished with */
+export function loadedImage(url) {
+  if (!_images.has(url)) throw new Error(`Image ${url} generated before it loaded`);
+  return _images.get(url);
+}
+
+/** Paths of an SVG loadSvg() has finished with */
+export function loadedSvg(url) {
+  if (!_svgs.has(url)) throw new Error(`SVG ${url} generated before it loaded`);
+  return _svgs.get(url);
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Generators                                        */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Sample an image loaded with loadImage().
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode]      'luminance' (bright pixels attract) or
+ *                                     'alpha' (any opaque pixel does)
+ * @param {boolean} [options.invert]   favour dark pixels instead (drawings
+ *                                     on white paper)
+ * @param {number} [options.threshold] pixels below this weight (0–1) stay empty
+ * @param {number} [options.width]     world-space width
+ * @param {number} [options.depth]     z relief: brighter pixels come forward
+ * @param {?{width: number, height: number}} [options.viewport]
+ */
+export function getImagePositions(image, count = 4000, {
+  mode = 'luminance',
+  invert = false,
+  threshold = 0.08,
+  width = 14,
+  depth = 1,
+  viewport = null,
+} = {}) {
+  const { width: w, height: h, data } = image;
+
+  /* Weight every pixel, building a CDF for weighted picks */
+  const cdf = new Float64Array(w * h);
+  let total = 0;
+  for (let i = 0; i < w * h; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    let lum = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+    if (invert) lum = 1 - lum;
+
+    const weight = mode === 'alpha' ? alpha : lum * alpha;
+    total += weight >= threshold ? weight : 0;
+    cdf[i] = total;
+  }
+  if (total === 0) throw new Error('Image has no pixels above the threshold');
+
+  const worldW = width * fitScale(width, (width * h) / w, viewport, FIT_SHARE);
+  const pixel = worldW / w;
+
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  for (let s = 0; s < count; s++) {
+    const i = searchCdf(cdf, Math.random() * total);
+    const px = i % w;
+    const py = Math.floor(i / w);
+    const lum = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+
+    positions[s * 3]     = (px + Math.random() - w / 2) * pixel;
+    positions[s * 3 + 1] = (h / 2 - py - Math.random()) * pixel;
+    positions[s * 3 + 2] = (lum - 0.5) * depth + (Math.random() - 0.5) * 0.1;
+
+    colors[s * 3]     = data[i * 4] / 255;
+    colors[s * 3 + 1] = data[i * 4 + 1] / 255;
+    colors[s * 3 + 2] = data[i * 4 + 2] / 255;
+  }
+  return { positions, colors };
+}
+
+/**
+ * Sample SVG paths loaded with loadSvg().
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode]   'fill' (inside the shapes) or 'outline'
+ *                                  (along the paths); paths without a fill
+ *                                  are always sampled as outlines
+ * @param {number} [options.width]  world-space width
+ * @param {number} [options.depth]  random z spread
+ * @param {?{width: number, height: number}} [options.viewport]
+ */
+export function getSvgPositions(paths, count = 4000, {
+  mode = 'fill',
+  width = 14,
+  depth = 0.3,
+  viewport = null,
+} = {}) {
+  const fills = [];
+  const outlines = [];
+  for (const path of paths) {
+    const style = path.userData?.style || {};
+    const hasFill = style.fill !== 'none';
+    if (mode === 'fill' && hasFill) {
+      fills.push({ shapes: SVGLoader.createShapes(path), color: styleColor(style.fill) });
+    } else {
+      const stroked = style.stroke && style.stroke !== 'none';
+      outlines.push({
+        subPaths: path.subPaths,
+        color: styleColor(stroked ? style.stroke : style.fill),
+        strokeWidth: stroked ? style.strokeWidth || 1 : 1,
+      });
+    }
+  }
+
+  const geometry = fills.length > 0 ? buildFillGeometry(fills) : null;
+  const segments = buildOutlineSegments(outlines);
+
+  /* Split the points by covered area (strokes count length × width) so
+     fills and lines look equally dense */
+  const fillArea = geometry ? geometryArea(geometry) : 0;
+  const lineArea = segments.length > 0 ? segments.cdf[segments.length - 1] : 0;
+  if (fillArea + lineArea === 0) throw new Error('SVG has nothing to sample');
+  const fillCount = Math.round((count * fillArea) / (fillArea + lineArea));
+
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+
+  if (fillCount > 0) {
+    const fillColors = new Float32Array(fillCount * 3);
+    positions.set(sampleSurface(geometry, fillCount, { colors: fillColors }));
+    colors.set(fillColors);
+  }
+  for (let s = fillCount; s < count; s++) {
+    const k = searchCdf(segments.cdf, Math.random() * lineArea);
+    const { a, b, color } = segments.list[k];
+    const t = Math.random();
+    positions[s * 3]     = a.x + (b.x - a.x) * t;
+    positions[s * 3 + 1] = a.y + (b.y - a.y) * t;
+    colors[s * 3]     = color.r;
+    colors[s * 3 + 1] = color.g;
+    colors[s * 3 + 2] = color.b;
+  }
+  geometry?.dispose();
+
+  /* SVG y points down: flip, centre, scale to `width`, add depth */
+  const box = new THREE.Box3().setFromArray(positions);
+  const size = box.getSize(new THREE.Vector3());
+  const centre = box.getCenter(new THREE.Vector3());
+  const baseScale = width / Math.max(size.x, 1e-6);
+  const scale = baseScale * fitScale(width, size.y * baseScale, viewport, FIT_SHARE);
+  for (let s = 0; s < count; s++) {
+    positions[s * 3]     = (positions[s * 3] - centre.x) * scale;
+    positions[s * 3 + 1] = -(positions[s * 3 + 1] - centre.y) * scale;
+    positions[s * 3 + 2] = (Math.random() - 0.5) * depth;
+  }
+  return { positions, colors };
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Helpers                                           */
+/* ────────────────────────────────────────────────── */
+
+/** CSS colour of an SVG style; gradients / currentColor fall back to white */
+function styleColor(value) {
+  const color = new THREE.Color(1, 1, 1);
+  if (typeof value === 'string' && !value.startsWith('url') && value !== 'currentColor') {
+    color.setStyle(value);
+  }
+  return color;
+}
+
+/** All filled shapes as one flat geometry with a per-vertex colour */
+function buildFillGeometry(fills) {
+  const positions = [];
+  const colors = [];
+  for (const { shapes, color } of fills) {
+    const geo = new THREE.ShapeGeometry(shapes).toNonIndexed();
+    const pos = geo.getAttribute('position');
+    for (let i = 0; i < pos.count; i++) {
+      positions.push(pos.getX(i), pos.getY(i), 0);
+      colors.push(color.r, color.g, color.b);
+    }
+    geo.dispose();
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  return geometry;
+}
+
+/** Outline paths flattened to segments, with a CDF of length × stroke width */
+function buildOutlineSegments(outlines) {
+  const list = [];
+  for (const { subPaths, color, strokeWidth } of outlines) {
+    for (const subPath of subPaths) {
+      const points = subPath.getPoints(12);
+      for (let i = 1; i < points.length; i++) {
+        list.push({ a: points[i - 1], b: points[i], color, strokeWidth });
+      }
+    }
+  }
+
+  const cdf = new Float64Array(list.length);
+  let total = 0;
+  list.forEach(({ a, b, strokeWidth }, i) => {
+    total += a.distanceTo(b) * strokeWidth;
+    cdf[i] = total;
+  });
+  return { list, cdf, length: list.length };
+}
+
+function geometryArea(geometry) {
+  const pos = geometry.getAttribute('position');
+  const tri = new THREE.Triangle();
+  let area = 0;
+  for (let i = 0; i < pos.count; i += 3) {
+    tri.setFromAttributeAndIndices(pos, i, i + 1, i + 2);
+    area += tri.getArea();
+  }
+  return area;
+}
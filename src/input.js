@@ -0,0 +1,95 @@
+/**
+ * input.js
+ * ─────────
+ * One place where every way of steering the particles meets: hands (this
+ * camera or a paired phone), mouse and touch, keyboard and gamepad each
+ * get an adapter (inputAdapters.js) that turns their raw events into the
+ * same vocabulary, so main.js only deals with what the user wants.
+ *
+ * Two kinds of input:
+ *
+ *   Actions — discrete, pushed through `onAction` as they happen:
+ *     { type: 'select', formation }   show a formation by id
+ *     { type: 'select', index }       … or by its place in the scene
+ *     { type: 'next' } / { type: 'prev' } / { type: 'burst' }
+ *     { type: 'gesture', gesture, x, y }  a hand pose appeared (mapped by
+ *                                     the scene), at that NDC point
+ *     { type: 'motion', gesture }     a motion gesture (mapped by the scene)
+ *     { type: 'shockwave', x, y }     blast the particles at that NDC point
+ *     { type: 'home' }                fly the camera back to the formation's pose
+ *     { type: 'cinematic' }           toggle the cinematic camera
+ *
+ *   Frame state — continuous, read once per frame with poll():
+ *     attractors  [{ x, y, strength, gesture? }]  points in NDC (−1…1);
+ *                 strength is a multiplier of the default pull, gesture the
+ *                 pose of the hand it belongs to
+ *     zoom        0 (far) … 1 (near), or null to rest (the mouse wheel and
+ *                 two-finger pinch go straight to the camera, see cameraRig.js)
+ *     rotation    { x, y, z } target angles in radians, or null to rest
+ *     spread      distance between two hands (formation scale), or null
+ *
+ * Adapters are polled from the highest `priority` down; for each field the
+ * first one with something to say wins, so a hand in view takes over the
+ * attractors from the mouse while the keyboard can still zoom.
+ *
+ * An adapter is any object with:
+ *   priority                      number, higher wins
+ *   attach(emit)                  start listening; emit(action) sends actions
+ *   detach()                      stop listening
+ *   poll(elapsed)                 → partial frame state, or null when idle
+ */
+
+const FIELDS = ['attractors', 'zoom', 'rotation', 'spread'];
+
+export class InputManager {
+  constructor() {
+    /** Adapters, highest priority first */
+    this.adapters = [];
+
+    /** Called with every action */
+    this.onAction = null;
+
+    this._emit = (action) => this.onAction?.(action);
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /** Start using an adapter; returns it */
+  add(adapter) {
+    this.adapters.push(adapter);
+    this.adapters.sort((a, b) => b.priority - a.priority);
+    adapter.attach(this._emit);
+    return adapter;
+  }
+
+  remove(adapter) {
+    const i = this.adapters.indexOf(adapter);
+    if (i < 0) return;
+    this.adapters.splice(i, 1);
+    adapter.detach();
+  }
+
+  /** Send an action from outside any adapter (e.g. a remote message) */
+  emit(action) {
+    this._emit(action);
+  }
+
+  /**
+   * Merge this frame's state from every adapter.
+   * @returns {{attractors: object[], zoom: ?number, rotation: ?object, spread: ?number}}
+   */
+  poll(elapsed) {
+    const frame = { attractors: null, zoom: null, rotation: null, spread: null };
+    for (const adapter of this.adapters) {
+      const state = adapter.poll(elapsed);
+      if (!state) continue;
+      for (const field of FIELDS) {
+        if (frame[field] === null && state[field] != null) frame[field] = state[field];
+      }
+    }
+    frame.attractors ??= [];
+    return frame;
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * inputAdapters.js
+ * ─────────────────
+ * Adapters for InputManager (input.js), one per kind of device:
+ *
+ *   HandAdapter      tracked hands: fingertips attract, poses and the
+ *                    pinch / palm roll and yaw / two-hand spread steer
+ *   GamepadAdapter   left stick moves an attractor, right stick rotates,
+ *                    triggers zoom, buttons step through formations
+ *   PointerAdapter   mouse and touch: the hovering mouse and every finger
+ *                    are attractors; a double click / tap sets off a
+ *                    shockwave (dragging, two-finger pinch and twist steer
+ *                    the camera instead, see cameraRig.js)
+ *   KeyboardAdapter  1–9 pick a formation, PageDown / PageUp step, B bursts,
+ *                    + / − zoom, W A S D rotate, 0 resets the view, C
+ *                    toggles the cinematic camera
+ *
+ * Hands report only while they are in view, sticks and fingers only while
+ * they are moved or down, so the camera drifts back when they let go; the
+ * keyboard's zoom and rotation stay until 0 is pressed.
+ */
+
+/** Palm length (in image units) that pulls with the default strength */
+const REF_PALM_SIZE = 0.2;
+
+/** Zoom when nothing else says otherwise (the camera's resting distance) */
+const REST_ZOOM = 0.5;
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+/** Whether a key event was meant for a form field or button instead */
+const inField = (e) => e.target.closest?.('input, textarea, select, button');
+
+/* ────────────────────────────────────────────────── */
+/*  Hands                                             */
+/* ────────────────────────────────────────────────── */
+
+export class HandAdapter {
+  /**
+   * @param {() => ?{hands: object[], gesture: ?string, handSpread: ?number}} source
+   *   returns the hands to follow this frame (HandTracker-shaped), or null
+   */
+  constructor(source) {
+    this.priority = 30;
+    this._source = source;
+    this._emit = null;
+    this._lastGesture = null;
+  }
+
+  attach(emit) {
+    this._emit = emit;
+  }
+
+  detach() {
+    this._emit = null;
+  }
+
+  poll() {
+    const input = this._source();
+    if (!input) {
+      this._lastGesture = null;   // a pose held when hands come back fires again
+      return null;
+    }
+
+    /* A pose fires once when it appears, not every frame it's held */
+    const g = input.gesture;
+    if (g && g !== this._lastGesture) {
+      const at = input.hands[0]?.fingerPos;
+      this._emit?.({ type: 'gesture', gesture: g, x: at?.x, y: at?.y });
+    }
+    this._lastGesture = g;
+
+    if (input.hands.length === 0) return { spread: input.handSpread };
+    const { controls } = input.hands[0];
+    return {
+      attractors: input.hands.map(({ fingerPos, controls: c, gesture }) => ({
+        x: fingerPos.x,
+        y: fingerPos.y,
+        strength: clamp(c.size / REF_PALM_SIZE, 0.3, 3),   // closer hand, stronger pull
+        gesture,
+      })),
+      zoom: controls.pinch,
+      rotation: { x: 0, y: controls.yaw * 1.5, z: -controls.roll },
+      spread: input.handSpread,
+    };
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Gamepad                                           */
+/* ────────────────────────────────────────────────── */
+
+const STICK_DEADZONE = 0.15;
+const TRIGGER_DEADZONE = 0.05;
+
+/** Standard-mapping button index → action */
+const GAMEPAD_BUTTONS = {
+  0: 'next',    // A / ✕
+  1: 'burst',   // B / ○
+  4: 'prev',    // LB
+  5: 'next',    // RB
+  14: 'prev',   // d-pad left
+  15: 'next',   // d-pad right
+};
+
+export class GamepadAdapter {
+  constructor() {
+    this.priority = 20;
+    this._emit = null;
+    this._pressed = new Set();
+  }
+
+  attach(emit) {
+    this._emit = emit;
+  }
+
+  detach() {
+    this._emit = null;
+    this._pressed.clear();
+  }
+
+  poll() {
+    const pad = navigator.getGamepads?.().find((p) => p?.connected && p.mapping === 'standard');
+    if (!pad) return null;
+
+    /* Buttons act on the press, not while held */
+    for (const [index, type] of Object.entries(GAMEPAD_BUTTONS)) {
+      const down = pad.buttons[index]?.pressed;
+      if (down && !this._pressed.has(index)) this._emit?.({ type });
+      if (down) this._pressed.add(index);
+      else this._pressed.delete(index);
+    }
+
+    const [lx, ly, rx, ry] = pad.axes;
+    const moved = (x, y) => Math.hypot(x, y) > STICK_DEADZONE;
+    const zoomIn = pad.buttons[7]?.value ?? 0;    // RT
+    const zoomOut = pad.buttons[6]?.value ?? 0;   // LT
+
+    return {
+      attractors: moved(lx, ly) ? [{ x: lx * 0.9, y: -ly * 0.9, strength: 1 }] : null,
+      zoom: Math.max(zoomIn, zoomOut) > TRIGGER_DEADZONE
+        ? clamp(REST_ZOOM + (zoomIn - zoomOut) / 2, 0, 1)
+        : null,
+      rotation: moved(rx, ry) ? { x: ry * 0.8, y: rx * 1.5, z: 0 } : null,
+    };
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Mouse / touch                                     */
+/* ────────────────────────────────────────────────── */
+
+export class PointerAdapter {
+  constructor() {
+    this.priority = 10;
+    this._emit = null;
+
+    /** pointerId → { x, y } in NDC */
+    this._pointers = new Map();
+
+    this._listeners = {
+      pointermove: (e) => this._move(e),
+      pointerdown: (e) => this._move(e),
+      pointerup: (e) => this._lift(e),
+      pointercancel: (e) => this._lift(e),
+      pointerout: (e) => {
+        if (e.pointerType === 'mouse' && !e.relatedTarget) this._lift(e);   // left the window
+      },
+      dblclick: (e) => {
+        if (e.target.closest?.('#controls, .panel, form')) return;
+        this._emit?.({
+          type: 'shockwave',
+          x: (e.clientX / innerWidth) * 2 - 1,
+          y: -(e.clientY / innerHeight) * 2 + 1,
+        });
+      },
+    };
+  }
+
+  attach(emit) {
+    this._emit = emit;
+    for (const [type, fn] of Object.entries(this._listeners)) window.addEventListener(type, fn);
+  }
+
+  detach() {
+    for (const [type, fn] of Object.entries(this._listeners)) window.removeEventListener(type, fn);
+    this._emit = null;
+    this._pointers.clear();
+  }
+
+  poll() {
+    /* Two fingers are orbiting / zooming the camera, not attracting */
+    if (this._pointers.size === 0 || this._pointers.size === 2) return null;
+    const points = [...this._pointers.values()];
+    return { attractors: points.map(({ x, y }) => ({ x, y, strength: 1 })) };
+  }
+
+  _move(e) {
+    /* A touch or pen only counts while it's down; a mouse while it hovers
+       (dragging it orbits the camera) */
+    const dragging = e.pointerType === 'mouse' && e.buttons !== 0;
+    if (dragging || (e.pointerType !== 'mouse' && e.buttons === 0)) {
+      this._pointers.delete(e.pointerId);
+      return;
+    }
+    this._pointers.set(e.pointerId, {
+      x: (e.clientX / innerWidth) * 2 - 1,
+      y: -(e.clientY / innerHeight) * 2 + 1,
+    });
+  }
+
+  _lift(e) {
+    if (e.pointerType === 'mouse' && e.type === 'pointerup') return;   // still hovering
+    this._pointers.delete(e.pointerId);
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Keyboard                                          */
+/* ────────────────────────────────────────────────── */
+
+const ZOOM_STEP = 0.1;
+const ROTATE_STEP = 0.2;   // radians
+
+/** Key → [axis, direction] for the rotation keys */
+const ROTATE_KEYS = {
+  a: ['y', -1],
+  d: ['y', 1],
+  w: ['x', -1],
+  s: ['x', 1],
+};
+
+export class KeyboardAdapter {
+  constructor() {
+    this.priority = 0;
+    this._emit = null;
+    this._zoom = null;
+    this._rotation = null;
+    this._onKey = (e) => this._key(e);
+  }
+
+  attach(emit) {
+    this._emit = emit;
+    window.addEventListener('keydown', this._onKey);
+  }
+
+  detach() {
+    window.removeEventListener('keydown', this._onKey);
+    this._emit = null;
+  }
+
+  poll() {
+    return { zoom: this._zoom, rotation: this._rotation };
+  }
+
+  _key(e) {
+    if (inField(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+    const key = e.key.toLowerCase();
+
+    if (key >= '1' && key <= '9') this._emit({ type: 'select', index: Number(key) - 1 });
+    else if (key === 'pagedown') this._emit({ type: 'next' });
+    else if (key === 'pageup') this._emit({ type: 'prev' });
+    else if (key === 'b') this._emit({ type: 'burst' });
+    else if (key === 'c') this._emit({ type: 'cinematic' });
+    else if (key === '+' || key === '=') this._zoomBy(ZOOM_STEP);
+    else if (key === '-') this._zoomBy(-ZOOM_STEP);
+    else if (ROTATE_KEYS[key]) this._rotateBy(...ROTATE_KEYS[key]);
+    else if (key === '0') {
+      this._zoom = null;
+      this._rotation = null;
+      this._emit({ type: 'home' });
+    } else return;
+    e.preventDefault();
+  }
+
+  _zoomBy(step) {
+    this._zoom = clamp((this._zoom ?? REST_ZOOM) + step, 0, 1);
+  }
+
+  _rotateBy(axis, direction) {
+    this._rotation ??= { x: 0, y: 0, z: 0 };
+    this._rotation[axis] += direction * ROTATE_STEP;
+  }
+}
@@ -3,43 +3,122 @@
  * ───────
  * Orchestrates the Valentine's experience:
  *   • Three.js scene (deep-space background, camera, renderer)
- *   • Particle system with 6 formations
- *   • Hand-gesture recognition → automatic formation switching
- *   • Mouse/touch fallback attractor
+ *   • Particle system with the formations listed in the scene config
+ *   • Hand-gesture recognition (one or two hands) → formation switching
+ *   • One attractor per tracked fingertip, mouse/touch fallback
+ *   • Every input (hands, mouse, multi-touch, keyboard, gamepad) goes
+ *     through one InputManager (see input.js)
+ *   • Force fields: poses bound in the scene turn the fingertip into a
+ *     vortex or set off a shockwave; double click / tap blasts too
+ *   • Two-hand spread → formation scale
+ *   • User-trained poses (k-NN, saved in localStorage) bound to formations
+ *   • Uploaded (or dropped) photos, SVG drawings and 3D models turned into
+ *     a coloured formation
+ *   • Motion gestures (swipe, circle, wave, throw) → next / prev / burst
+ *   • Continuous hand controls: pinch → zoom, palm roll/yaw → rotation,
+ *     hand size (distance) → attractor strength
+ *   • Camera: drag / wheel / pinch orbit navigation, a fly-to pose per
+ *     formation and an auto-cinematic mode (see cameraRig.js)
+ *   • Optional post-processing presets (bloom, trails, vignette, grain)
+ *   • Performance governor: quality tiers picked from the measured frame
+ *     rate (`?quality=` pins one, `?stats` shows the numbers)
+ *   • Capture: PNG screenshots, WebM recordings (with optional music) and
+ *     a one-click clip through every formation
+ *   • Timeline: a scripted, hands-free sequence from the scene config with
+ *     play / pause / skip / loop controls
+ *   • Audio-reactive stars from a music file or the microphone, with
+ *     optional formation changes on strong beats
+ *   • Shared sessions: a phone paired by code tracks the hands and this
+ *     screen draws (see remote.js)
  *
- * Gesture → Formation map:
- *   ☝️  INDEX_UP  → Planeta (esfera con anillo)
- *   ✌️  PEACE     → Texto "Carolina"
- *   🤘 ROCK      → Texto "Te Quiero"
- *   🤟 ILY       → Corazón ❤️
- *   🖐️  OPEN      → Cosmos / esfera abierta
- *   ✊  FIST      → Concentrar (compactar)
+ * Formations, their titles and the gesture → formation map all come from
+ * sceneConfig.js (or a JSON file passed with `?scene=`); names and messages
+ * are personalized from the URL (see personalization.js).
+ *
+ * Model and font files are self-hosted and cached by a service worker, so
+ * after the first visit everything works offline (see assets.js).
  */
 import './styles.css';
 
 import * as THREE from 'three';
 import { ParticleSystem } from './particles.js';
+import { CameraRig, CAMERA_DISTANCE } from './cameraRig.js';
+import { PostProcessing, POST_PRESETS } from './postProcessing.js';
+import {
+  PerformanceGovernor,
+  StatsOverlay,
+  readQualityOverride,
+} from './performance.js';
+import { FormationStore } from './formationStore.js';
+import { HandTracker, GESTURE_EMOJI } from './handTracking.js';
+import { GestureClassifier } from './gestureTrainer.js';
+import { InputManager } from './input.js';
+import {
+  HandAdapter,
+  GamepadAdapter,
+  PointerAdapter,
+  KeyboardAdapter,
+} from './inputAdapters.js';
+import { loadSceneConfig } from './sceneConfig.js';
+import { TimelinePlayer } from './timeline.js';
+import { AudioReactor } from './audio.js';
+import { RemoteSession, handFrame } from './remote.js';
+import { registerServiceWorker } from './assets.js';
+import { FONTS } from './textPoints.js';
 import {
-  loadFont,
-  getTextPositions,
-  getSpherePositions,
-  getHeartPositions,
-  getCompactPositions,
-  getPlanetPositions,
-} from './textPoints.js';
-import { HandTracker, GESTURES, GESTURE_LABELS } from './handTracking.js';
+  CAPTURE_SIZES,
+  Recorder,
+  takeScreenshot,
+  countdown,
+  downloadBlob,
+  captureFilename,
+} from './capture.js';
+import { modelFormat, gltfHasExternalFiles } from './modelPoints.js';
+import {
+  readPersonalization,
+  personalizeScene,
+  buildShareLink,
+} from './personalization.js';
 
 /* ────────────────────────────────────────────────── */
 /*  DOM refs                                          */
 /* ────────────────────────────────────────────────── */
 const container     = document.getElementById('canvas-container');
 const loadingEl     = document.getElementById('loading');
+const loadingMsgEl  = document.getElementById('loading-message');
+const retryBtn      = document.getElementById('loading-retry');
 const uiEl          = document.getElementById('ui');
 const titleEl       = document.getElementById('title');
+const guideEl       = document.getElementById('gesture-guide');
 const toggleBtn     = document.getElementById('toggle-btn');
 const cameraBtn     = document.getElementById('camera-btn');
 const statusEl      = document.getElementById('camera-status');
 const cameraPreview = document.getElementById('camera-preview');
+const shareBtn      = document.getElementById('share-btn');
+const sharePanel    = document.getElementById('share-panel');
+const shareLinkEl   = document.getElementById('share-link');
+const shareCopyBtn  = document.getElementById('share-copy');
+const trainBtn      = document.getElementById('train-btn');
+const trainPanel    = document.getElementById('train-panel');
+const trainStatusEl = document.getElementById('train-status');
+const trainListEl   = document.getElementById('train-list');
+const uploadBtn     = document.getElementById('upload-btn');
+const uploadInput   = document.getElementById('upload-input');
+const fxBtn         = document.getElementById('fx-btn');
+const cineBtn       = document.getElementById('cine-btn');
+const captureBtn    = document.getElementById('capture-btn');
+const capturePanel  = document.getElementById('capture-panel');
+const captureStatusEl = document.getElementById('capture-status');
+const countdownEl   = document.getElementById('countdown');
+const timelineBar   = document.getElementById('timeline-bar');
+const timelineStepEl = document.getElementById('timeline-step');
+const audioBtn      = document.getElementById('audio-btn');
+const audioPanel    = document.getElementById('audio-panel');
+const audioStatusEl = document.getElementById('audio-status');
+const remoteBtn     = document.getElementById('remote-btn');
+const remotePanel   = document.getElementById('remote-panel');
+const remoteCodeEl  = document.getElementById('remote-code');
+const remoteStatusEl = document.getElementById('remote-status');
 const gestureEl     = null; // removed from UI
 
 /* ────────────────────────────────────────────────── */
@@ -47,7 +126,6 @@ const gestureEl     = null; // removed from UI
 /* ────────────────────────────────────────────────── */
 const scene  = new THREE.Scene();
 const camera3D = new THREE.PerspectiveCamera(60, innerWidth / innerHeight, 0.1, 200);
-camera3D.position.set(0, 0, 18);
 
 const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
 renderer.setSize(innerWidth, innerHeight);
@@ -55,9 +133,46 @@ renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
 renderer.setClearColor(0x050008);
 container.appendChild(renderer.domElement);
 
+/** Orbit navigation, flights to formation poses, cinematic mode */
+const cameraRig = new CameraRig(camera3D, renderer.domElement);
+
+/** Let the camera circle and dolly on its own (or stop it) */
+function toggleCinematic() {
+  cameraRig.cinematic = !cameraRig.cinematic;
+  cineBtn.classList.toggle('active', cameraRig.cinematic);
+}
+
 /* Deep-space subtle fog */
 scene.fog = new THREE.FogExp2(0x050008, 0.015);
 
+/* ────────────────────────────────────────────────── */
+/*  Post-processing                                   */
+/* ────────────────────────────────────────────────── */
+const FX_STORAGE_KEY = 'caro-cosmos.postPreset';
+
+/** `?fx=<preset>` wins over the last preset picked with the button */
+function readPostPreset() {
+  const candidates = [
+    new URLSearchParams(location.search).get('fx'),
+    localStorage.getItem(FX_STORAGE_KEY),
+  ];
+  return candidates.find((name) => name && POST_PRESETS[name]) || 'off';
+}
+
+const post = new PostProcessing(renderer, scene, camera3D, { preset: readPostPreset() });
+
+function updateFxButton() {
+  fxBtn.textContent = `🎬 ${POST_PRESETS[post.preset].label}`;
+}
+
+/** Next preset, remembered for the next visit */
+function cyclePostPreset() {
+  const names = Object.keys(POST_PRESETS);
+  post.preset = names[(names.indexOf(post.preset) + 1) % names.length];
+  localStorage.setItem(FX_STORAGE_KEY, post.preset);
+  updateFxButton();
+}
+
 /* ────────────────────────────────────────────────── */
 /*  Background star field (static, very far)          */
 /* ────────────────────────────────────────────────── */
@@ -87,93 +202,273 @@ scene.fog = new THREE.FogExp2(0x050008, 0.015);
 /* ────────────────────────────────────────────────── */
 /*  Particle system                                   */
 /* ────────────────────────────────────────────────── */
-const particles = new ParticleSystem();
+/**
+ * `?particles=N` overrides the default count (simulated on the GPU); the
+ * performance governor draws a share of it on slower devices.
+ */
+function readParticleCount() {
+  const n = parseInt(new URLSearchParams(location.search).get('particles'), 10);
+  return Number.isFinite(n) ? THREE.MathUtils.clamp(n, 1000, 500000) : undefined;
+}
+
+const particles = new ParticleSystem(renderer, { count: readParticleCount() });
 scene.add(particles.mesh);
 
+/* ────────────────────────────────────────────────── */
+/*  Performance                                       */
+/* ────────────────────────────────────────────────── */
+const qualityOverride = readQualityOverride();
+const governor = new PerformanceGovernor({
+  tier: qualityOverride ?? undefined,
+  auto: !qualityOverride,
+});
+
+const statsOverlay = new URLSearchParams(location.search).has('stats')
+  ? new StatsOverlay()
+  : null;
+
+function pixelRatio() {
+  return Math.min(devicePixelRatio, governor.settings.pixelRatio);
+}
+
+/** Apply a quality tier (see QUALITY_TIERS) to everything it controls */
+function applyQualityTier(settings) {
+  particles.activeCount = particles.count * settings.particles;
+  renderer.setPixelRatio(pixelRatio());
+  particles.material.uniforms.uPixelRatio.value = pixelRatio();
+  post.quality = settings.post;
+  post.setSize(innerWidth, innerHeight);
+  tracker.modelComplexity = settings.modelComplexity;
+  tracker.inferenceRate = settings.inferenceRate;
+}
+governor.onChange = applyQualityTier;
+
 /* ────────────────────────────────────────────────── */
 /*  Formations                                        */
 /* ────────────────────────────────────────────────── */
 
-/** Formation IDs (match gesture names for easy mapping) */
-const F = {
-  PLANET:   'PLANET',
-  CAROLINA: 'CAROLINA',
-  TEQUIERO: 'TEQUIERO',
-  HEART:    'HEART',
-  COSMOS:   'COSMOS',
-  COMPACT:  'COMPACT',
-};
+/** Scene config as loaded, before personalization (set in boot) */
+let baseScene = null;
 
-/** Gesture → Formation */
-const GESTURE_TO_FORMATION = {
-  [GESTURES.INDEX_UP]: F.PLANET,
-  [GESTURES.PEACE]:    F.CAROLINA,
-  [GESTURES.ROCK]:     F.TEQUIERO,
-  [GESTURES.ILY]:      F.HEART,
-  [GESTURES.OPEN]:     F.COSMOS,
-  [GESTURES.FIST]:     F.COMPACT,
-};
+/** Resolved, personalized scene config */
+let sceneConfig = null;
 
-/** Display info per formation */
-const FORMATION_INFO = {
-  [F.PLANET]:   { emoji: '🪐', label: 'Planeta',   title: '✨ Un planeta para ti ✨' },
-  [F.CAROLINA]: { emoji: '💕', label: 'Carolina',  title: '💖 Carolina 💖' },
-  [F.TEQUIERO]: { emoji: '🤘', label: 'Te Quiero', title: '💜 Te Quiero 💜' },
-  [F.HEART]:    { emoji: '❤️', label: 'Corazón',    title: '❤️ Te Quiero ❤️' },
-  [F.COSMOS]:   { emoji: '🌌', label: 'Cosmos',    title: '✨ Las estrellas son tuyas ✨' },
-  [F.COMPACT]:  { emoji: '✊', label: 'Concentrar', title: '💫 Todo para ti 💫' },
-};
+/** Formation id → definition from the scene config */
+const formationDefs = {};
 
-let currentFormation = F.COSMOS;
-const formationData = {};
+/** Gesture → Formation id (scene gestures + user-trained ones) */
+const gestureToFormation = {};
 
-async function precomputeFormations() {
-  await loadFont();
+/** Poses the user trained, persisted in localStorage */
+const classifier = new GestureClassifier();
 
-  formationData[F.COSMOS]   = getSpherePositions(particles.count, 12);
-  formationData[F.PLANET]   = getPlanetPositions(particles.count);
-  formationData[F.CAROLINA] = getTextPositions('Carolina', particles.count);
-  formationData[F.TEQUIERO] = getTextPositions('Te Quiero', particles.count);
-  formationData[F.HEART]    = getHeartPositions(particles.count, 0.7);
-  formationData[F.COMPACT]  = getCompactPositions(particles.count, 1.2);
+/**
+ * Point every trained gesture at its formation.  Scene gestures win if a
+ * saved binding refers to a formation that no longer exists.
+ */
+function bindCustomGestures() {
+  for (const key of Object.keys(gestureToFormation)) {
+    if (!(key in GESTURE_EMOJI)) delete gestureToFormation[key];
+  }
+  for (const [name, g] of Object.entries(classifier.gestures)) {
+    if (g.formation && formationDefs[g.formation]) {
+      gestureToFormation[GestureClassifier.idOf(name)] = g.formation;
+    }
+  }
+}
+
+let currentFormation = null;
+
+/** Positions are generated in a worker, lazily, and cached by id */
+const formationStore = new FormationStore(particles.count);
+formationStore.viewport = visibleArea();
+
+/**
+ * Add or replace a formation at runtime.  Its points are (re)generated
+ * in the background; the returned promise resolves once they are ready.
+ * A failure is logged (and shown, if the formation is on screen) here, so
+ * callers may drop the promise.
+ */
+function defineFormation(def) {
+  const previous = formationDefs[def.id];
+  for (const g of previous?.gestures || []) delete gestureToFormation[g];
+
+  formationDefs[def.id] = def;
+  for (const g of def.gestures) gestureToFormation[g] = def.id;
+
+  formationStore.invalidate(def.id);
+  const ready = formationStore.get(def);
 
-  particles.setTarget(formationData[F.COSMOS]);
+  /* Re-target if the formation on screen was just redefined */
+  const onScreen = def.id === currentFormation;
+  if (onScreen) titleEl.textContent = def.title;
+  ready.then((formation) => {
+    if (onScreen && currentFormation === def.id) showFormation(def, formation);
+  }, (err) => {
+    console.error(`Formation "${def.id}" failed to generate`, err);
+    if (onScreen && currentFormation === def.id) statusEl.textContent = '⚠️ No se pudo crear esa formación';
+  });
+  return ready;
 }
 
 /**
- * Switch to a given formation (if not already active).
+ * Register every formation, wait only for the initial one, and let the
+ * rest generate in the background.
  */
-function setFormation(id) {
-  if (id === currentFormation) return;
-  if (!formationData[id]) return;
+async function prepareFormations() {
+  for (const def of sceneConfig.formations) {
+    formationDefs[def.id] = def;
+    for (const g of def.gestures) gestureToFormation[g] = def.id;
+  }
+  bindCustomGestures();
 
-  currentFormation = id;
-  particles.setTarget(formationData[id]);
+  currentFormation = sceneConfig.initial;
+  const initial = formationDefs[currentFormation];
+  showFormation(initial, await formationStore.get(initial));
+  cameraRig.flyTo(initial.camera, { duration: 0 });
+  titleEl.textContent = initial.title;
 
-  const info = FORMATION_INFO[id];
-  if (info) {
-    titleEl.textContent = info.title;
+  for (const def of sceneConfig.formations) {
+    formationStore.get(def).catch((err) => {
+      console.error(`Formation "${def.id}" failed to generate`, err);
+    });
   }
 }
 
 /**
- * Cycle through formations (button click).
+ * Fill the #gesture-guide with one entry per gesture-bound formation.
  */
-function cycleFormation() {
-  const keys = Object.values(F);
+function buildGestureGuide() {
+  guideEl.replaceChildren();
+  for (const def of sceneConfig.formations) {
+    if (def.gestures.length === 0) continue;
+    const emoji = def.gestures.map((g) => GESTURE_EMOJI[g]).join(' ');
+    const span = document.createElement('span');
+    span.textContent = `${emoji} ${def.label}`;
+    guideEl.appendChild(span);
+  }
+  for (const [name, g] of Object.entries(classifier.gestures)) {
+    const def = formationDefs[g.formation];
+    if (!def) continue;
+    const span = document.createElement('span');
+    span.textContent = `🎓 ${name} · ${def.label}`;
+    guideEl.appendChild(span);
+  }
+}
+
+/**
+ * Send the particles to a formation with its configured pairing,
+ * transition (unless one is given), colour scheme and ambient motion.
+ * Resolves true once they have arrived (false if interrupted).
+ */
+function showFormation(def, formation, transition = def.transition) {
+  return particles.setTarget(formation.positions, {
+    colors: formation.colors,
+    assignment: def.assignment,
+    transition,
+    colorScheme: def.colorScheme,
+    ambient: def.ambient,
+  });
+}
+
+/**
+ * Switch to a given formation (if not already active).  Resolves true once
+ * the particles have arrived, false if something else interrupted them.
+ *
+ * `title` / `transition` / `camera` override the formation's own for this
+ * switch; the camera flies to its pose even if the formation stays.
+ * Any switch the timeline didn't ask for (gestures, buttons) pauses it.
+ */
+function setFormation(id, { title, transition, camera, fromTimeline = false } = {}) {
+  if (!fromTimeline) timelinePlayer?.pause();
+  const def = formationDefs[id];
+  if (!def) return Promise.resolve(false);
+
+  titleEl.textContent = title ?? def.title;
+  announceFormation(id);
+  if (camera || id !== currentFormation) cameraRig.flyTo(camera ?? def.camera);
+  if (id === currentFormation) return Promise.resolve(true);
+
+  currentFormation = id;
+  if (spreadBase === null) formationScale = 1;
+
+  /* Usually cached already; if not, switch once it's generated */
+  return formationStore.get(def).then((formation) => {
+    return currentFormation === id ? showFormation(def, formation, transition) : false;
+  }, (err) => {
+    console.error(`Formation "${id}" failed to generate`, err);
+    return false;
+  });
+}
+
+/**
+ * Cycle through formations (button click, swipes).  `step` = −1 goes back.
+ */
+function cycleFormation(step = 1) {
+  const keys = sceneConfig.formations.map((def) => def.id);
   const idx = keys.indexOf(currentFormation);
-  setFormation(keys[(idx + 1) % keys.length]);
+  setFormation(keys[(idx + step + keys.length) % keys.length]);
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Timeline                                          */
+/* ────────────────────────────────────────────────── */
+/** Plays sceneConfig.timeline, if the scene has one (set in boot) */
+let timelinePlayer = null;
+
+/** Show one timeline step: formation, title, transition and camera */
+function showTimelineStep(step) {
+  setFormation(step.formation, {
+    title: step.title ?? undefined,
+    transition: step.transition,
+    camera: step.camera ?? formationDefs[step.formation].camera,
+    fromTimeline: true,
+  });
+}
+
+function updateTimelineBar() {
+  const player = timelinePlayer;
+  timelineBar.elements.toggle.textContent = player.playing ? '⏸️ Pausa' : '▶️ Historia';
+  timelineBar.elements.loop.classList.toggle('active', player.loop);
+  timelineStepEl.textContent = player.index >= 0 ? `${player.index + 1} / ${player.steps.length}` : '';
+}
+
+function setupTimeline() {
+  if (!sceneConfig.timeline) return;
+  timelinePlayer = new TimelinePlayer(sceneConfig.timeline, showTimelineStep);
+  timelinePlayer.onChange = updateTimelineBar;
+  timelineBar.hidden = false;
+  updateTimelineBar();
+  if (sceneConfig.timeline.autoplay) timelinePlayer.play();
 }
 
+timelineBar.elements.toggle.addEventListener('click', () => timelinePlayer.toggle());
+timelineBar.elements.prev.addEventListener('click', () => timelinePlayer.prev());
+timelineBar.elements.next.addEventListener('click', () => timelinePlayer.next());
+timelineBar.elements.loop.addEventListener('click', () => {
+  timelinePlayer.loop = !timelinePlayer.loop;
+  updateTimelineBar();
+});
+
+/* Presenter keys: space = play / pause, arrows = previous / next step */
+window.addEventListener('keydown', (e) => {
+  if (!timelinePlayer || e.target.closest('input, textarea, select, button')) return;
+  if (e.key === ' ') timelinePlayer.toggle();
+  else if (e.key === 'ArrowRight') timelinePlayer.next();
+  else if (e.key === 'ArrowLeft') timelinePlayer.prev();
+  else return;
+  e.preventDefault();
+});
+
 /* ────────────────────────────────────────────────── */
 /*  Hand tracking                                     */
 /* ────────────────────────────────────────────────── */
 const tracker = new HandTracker();
-let _lastGesture = null;
+tracker.classifier = classifier;
 
 async function toggleCamera() {
   if (tracker.active) {
-    tracker.stop();
+    await tracker.stop();
     cameraBtn.textContent = '📷 Activar Cámara';
     statusEl.textContent = '';
     if (gestureEl) gestureEl.textContent = '';
@@ -187,53 +482,704 @@ async function toggleCamera() {
     cameraBtn.textContent = '🚫 Desactivar Cámara';
   } catch (err) {
     console.error(err);
-    statusEl.textContent = '⚠️ No se pudo acceder a la cámara';
+    /* getUserMedia rejects with a DOMException; anything else is the model */
+    statusEl.textContent = err instanceof DOMException
+      ? '⚠️ No se pudo acceder a la cámara'
+      : '⚠️ No se pudo cargar el modelo de manos (¿sin conexión?)';
   }
 }
 
+tracker.onError = () => {
+  cameraBtn.textContent = '📷 Activar Cámara';
+  statusEl.textContent = '⚠️ El seguimiento de manos se detuvo';
+};
+
 /**
- * Check gesture each frame and switch formation when it changes.
+ * Where hands come from: this device's camera, or else a paired phone
+ * while its frames keep arriving.  Both look like the tracker:
+ * { hands, gesture, handSpread }.
  */
-function processGesture() {
-  if (!tracker.active) return;
+function handInput() {
+  if (tracker.active) return tracker;
+  if (remoteInput && performance.now() - remoteInput.receivedAt < REMOTE_STALE) return remoteInput;
+  return null;
+}
+
+tracker.onMotionGesture = (event) => {
+  if (remote?.role === 'controller') remote.send({ type: 'motion', gesture: event.type });
+  else input.emit({ type: 'motion', gesture: event.type });
+};
+
+/* Two-hand spread → formation scale (relative to the spread when the
+   second hand appeared) */
+let spreadBase = null;
+let formationScale = 1;
+
+function processHandSpread(spread) {
+  if (spread === null) {
+    spreadBase = null;
+    return;
+  }
+  if (spreadBase === null) spreadBase = spread / formationScale;
+  formationScale = THREE.MathUtils.clamp(spread / spreadBase, 0.4, 2.5);
+}
+
+/** Move an angle towards a target along the shortest way round */
+function approachAngle(current, target, k) {
+  const diff = Math.atan2(Math.sin(target - current), Math.cos(target - current));
+  return current + diff * k;
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Shared session (phone as controller)              */
+/* ────────────────────────────────────────────────── */
+const REMOTE_RATE = 30;     // hand frames per second a controller sends
+const REMOTE_STALE = 500;   // ms after which a controller's hands are dropped
+
+/** Open RemoteSession, or null */
+let remote = null;
+
+/** Last hands received from a controller (display side) */
+let remoteInput = null;
+let lastRemoteFrame = 0;
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** Hands from the wire, keeping only well-formed ones */
+function readRemoteHands(hands) {
+  if (!Array.isArray(hands)) return [];
+  return hands.filter((h) => (
+    isFiniteNumber(h?.fingerPos?.x) && isFiniteNumber(h.fingerPos.y)
+    && ['pinch', 'roll', 'yaw', 'size'].every((k) => isFiniteNumber(h.controls?.[k]))
+  ));
+}
+
+function onRemoteMessage(msg) {
+  if (remote.role === 'display') {
+    if (msg.type === 'hands') {
+      remoteInput = {
+        hands: readRemoteHands(msg.hands),
+        gesture: typeof msg.gesture === 'string' ? msg.gesture : null,
+        handSpread: isFiniteNumber(msg.handSpread) ? msg.handSpread : null,
+        receivedAt: performance.now(),
+      };
+    } else if (msg.type === 'motion' && typeof msg.gesture === 'string') {
+      input.emit({ type: 'motion', gesture: msg.gesture });
+    }
+  } else if (msg.type === 'formation' && typeof msg.title === 'string') {
+    titleEl.textContent = msg.title;
+  }
+}
+
+/** Tell controllers what the big screen shows */
+function announceFormation(id = currentFormation) {
+  if (remote?.role !== 'display') return;
+  remote.send({ type: 'formation', id, title: titleEl.textContent });
+}
+
+/** Controller side: send the tracker's state, at most REMOTE_RATE times a second */
+function sendRemoteFrame() {
+  const now = performance.now();
+  if (!tracker.active || now - lastRemoteFrame < 1000 / REMOTE_RATE) return;
+  lastRemoteFrame = now;
+  remote.send(handFrame(tracker));
+}
+
+function updateRemoteUi() {
+  const role = remote?.connected ? remote.role : null;
+  remoteBtn.textContent = role === 'display' ? `📺 ${remote.code}`
+    : role === 'controller' ? '📱 Mando'
+    : '📺 Pantalla compartida';
+  remotePanel.elements.leave.disabled = !role;
+  remoteCodeEl.hidden = role !== 'display';
+  document.body.classList.toggle('remote-controller', role === 'controller');
+
+  if (role === 'display') {
+    const link = new URL(location.href);
+    link.searchParams.set('join', remote.code);
+    remoteCodeEl.textContent = remote.code;
+    remotePanel.elements.link.value = link.toString();
+    remoteStatusEl.textContent = remote.controllers > 0
+      ? `📱 ${remote.controllers} ${remote.controllers === 1 ? 'mando conectado' : 'mandos conectados'}`
+      : 'Abre el enlace en el móvil o escribe allí el código';
+  } else if (role === 'controller') {
+    remoteStatusEl.textContent = `📱 Controlando la pantalla ${remote.code}`;
+  }
+  remotePanel.elements.link.hidden = role !== 'display';
+}
+
+/** Open a session in `role`, replacing any current one */
+async function openRemote(role, code) {
+  remote?.close();
+  remoteInput = null;
+  remote = new RemoteSession(role);
+  const session = remote;
+  session.onMessage = onRemoteMessage;
+  session.onChange = () => {
+    updateRemoteUi();
+    announceFormation();
+  };
+  session.onClose = (reason) => {
+    if (remote !== session) return;
+    remote = null;
+    updateRemoteUi();
+    remoteStatusEl.textContent = `⚠️ ${reason}`;
+  };
+
+  remoteStatusEl.textContent = 'Conectando…';
+  try {
+    await session.open(code);
+  } catch (err) {
+    if (remote === session) remote = null;
+    remoteStatusEl.textContent = `⚠️ ${err.message}`;
+    return false;
+  } finally {
+    updateRemoteUi();
+  }
+  return true;
+}
+
+/** Pair this device as a controller and start its camera */
+async function joinRemote(code) {
+  if (await openRemote('controller', code) && !tracker.active) await toggleCamera();
+}
+
+remoteBtn.addEventListener('click', () => {
+  remotePanel.hidden = false;
+});
+
+document.getElementById('remote-display').addEventListener('click', () => {
+  openRemote('display');
+});
+
+remotePanel.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const code = remotePanel.elements.code.value.trim();
+  if (code) joinRemote(code);
+});
+
+remotePanel.elements.leave.addEventListener('click', () => {
+  remote?.close();
+  remote = null;
+  remoteInput = null;
+  remoteStatusEl.textContent = '';
+  updateRemoteUi();
+});
+
+document.getElementById('remote-close').addEventListener('click', () => {
+  remotePanel.hidden = true;
+});
+
+/* ────────────────────────────────────────────────── */
+/*  "Create your own" share link                      */
+/* ────────────────────────────────────────────────── */
+/** Blob URL of a font file the user picked (never part of a link) */
+let localFontUrl = null;
+
+function openSharePanel() {
+  const values = { ...sceneConfig.defaults, ...readPersonalization() };
+  sharePanel.elements.font.replaceChildren(
+    new Option('Predeterminada', ''),
+    ...Object.keys(FONTS).map((name) => new Option(name, name)),
+  );
+  sharePanel.elements.name.value = values.name || '';
+  sharePanel.elements.message.value = values.message || '';
+  sharePanel.elements.font.value = values.font || '';
+  shareLinkEl.value = '';
+  shareCopyBtn.disabled = true;
+  sharePanel.hidden = false;
+}
+
+/**
+ * Re-personalize the running scene (live preview of the link being made).
+ * Only formations whose text changed are regenerated.
+ */
+function applyPersonalization(values) {
+  sceneConfig = personalizeScene(baseScene, values);
+  document.title = sceneConfig.pageTitle;
+
+  for (const def of sceneConfig.formations) {
+    const old = formationDefs[def.id];
+    if (old.params.text !== def.params.text || old.params.font !== def.params.font) {
+      defineFormation(def);   // reports its own failures
+    } else {
+      formationDefs[def.id] = def;
+      if (def.id === currentFormation) titleEl.textContent = def.title;
+    }
+  }
+  if (timelinePlayer) timelinePlayer.steps = sceneConfig.timeline.steps;
+  buildGestureGuide();
+}
+
+sharePanel.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const values = {
+    name: sharePanel.elements.name.value,
+    message: sharePanel.elements.message.value,
+    font: sharePanel.elements.font.value,
+  };
+  shareLinkEl.value = buildShareLink(values);
+  shareCopyBtn.disabled = false;
+  shareLinkEl.select();
+
+  const preview = readPersonalization(new URL(shareLinkEl.value).search);
+  if (localFontUrl) preview.font = localFontUrl;
+  applyPersonalization(preview);
+});
 
-  const g = tracker.gesture;
+/* TTF / OTF files are converted to typeface format where the text is built */
+sharePanel.elements.fontFile.addEventListener('change', (e) => {
+  if (localFontUrl) URL.revokeObjectURL(localFontUrl);
+  const file = e.target.files[0];
+  localFontUrl = file ? URL.createObjectURL(file) : null;
+});
+
+shareCopyBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(shareLinkEl.value);
+    shareCopyBtn.textContent = '✅ Copiado';
+  } catch {
+    shareLinkEl.select();
+    shareCopyBtn.textContent = '⌨️ Ctrl+C';
+  }
+  setTimeout(() => { shareCopyBtn.textContent = '📋 Copiar'; }, 1500);
+});
+
+document.getElementById('share-close').addEventListener('click', () => {
+  sharePanel.hidden = true;
+});
+
+/* ────────────────────────────────────────────────── */
+/*  Uploaded picture                                  */
+/* ────────────────────────────────────────────────── */
+const UPLOAD_ID = 'UPLOAD';
+let uploadUrl = null;
 
-  // Update UI label
-  if (gestureEl) {
-    gestureEl.textContent = g ? (GESTURE_LABELS[g] || '') : '';
+/** Generator + params for a user file, or null if it isn't something we read */
+function uploadSource(file, src) {
+  const format = modelFormat(file.name);
+  if (format) return { generator: 'model', params: { src, format } };
+  if (file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')) {
+    return { generator: 'svg', params: { src } };
+  }
+  if (file.type.startsWith('image/')) return { generator: 'image', params: { src } };
+  return null;
+}
+
+/**
+ * Show a photo, SVG drawing or 3D model as a formation (not part of the
+ * cycle).
+ */
+async function showUpload(file) {
+  /* A lone file can't bring a .gltf's .bin and textures along */
+  if (/\.gltf$/i.test(file.name) && gltfHasExternalFiles(await file.text())) {
+    statusEl.textContent = '⚠️ Ese .gltf usa archivos aparte: súbelo como .glb';
+    return;
+  }
+
+  const src = URL.createObjectURL(file);
+  const source = uploadSource(file, src);
+  if (!source) {
+    URL.revokeObjectURL(src);
+    statusEl.textContent = '⚠️ Usa una imagen, un SVG o un modelo .glb / .gltf / .obj';
+    return;
   }
+  if (uploadUrl) URL.revokeObjectURL(uploadUrl);
+  uploadUrl = src;
 
-  // Switch formation if gesture changed
-  if (g && g !== _lastGesture) {
-    const targetFormation = GESTURE_TO_FORMATION[g];
-    if (targetFormation) {
-      setFormation(targetFormation);
+  const def = {
+    id: UPLOAD_ID,
+    ...source,
+    gestures: [],
+    emoji: '🖼️',
+    label: 'Tu foto',
+    title: '🖼️ ✨',
+    motion: 'sway',
+    transition: { type: 'tween', duration: 2.2, stagger: 0.8, staggerBy: 'radial' },
+  };
+
+  currentFormation = UPLOAD_ID;   // so defineFormation() shows it when ready
+  defineFormation(def).catch(() => {
+    statusEl.textContent = '⚠️ No se pudo leer ese archivo';   // logged by defineFormation()
+  });
+}
+
+uploadBtn.addEventListener('click', () => uploadInput.click());
+uploadInput.addEventListener('change', () => {
+  if (uploadInput.files[0]) showUpload(uploadInput.files[0]);
+  uploadInput.value = '';
+});
+
+/* Files dropped anywhere on the page work the same way */
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer?.files[0];
+  if (file) showUpload(file);
+});
+
+/* ────────────────────────────────────────────────── */
+/*  Custom gesture trainer                            */
+/* ────────────────────────────────────────────────── */
+const TRAIN_SAMPLES = 24;        // frames recorded per gesture
+const TRAIN_INTERVAL = 80;       // ms between samples
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function refreshTrainPanel() {
+  const select = trainPanel.elements.formation;
+  select.replaceChildren(...sceneConfig.formations.map((def) => {
+    const opt = document.createElement('option');
+    opt.value = def.id;
+    opt.textContent = `${def.emoji} ${def.label}`;
+    return opt;
+  }));
+
+  trainListEl.replaceChildren(...Object.entries(classifier.gestures).map(([name, g]) => {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    const def = formationDefs[g.formation];
+    label.textContent = `🎓 ${name} → ${def ? def.label : '—'} (${g.samples.length})`;
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.textContent = '🗑️';
+    del.title = 'Borrar';
+    del.addEventListener('click', () => {
+      classifier.remove(name);
+      classifier.save();
+      bindCustomGestures();
+      buildGestureGuide();
+      refreshTrainPanel();
+    });
+    li.append(label, del);
+    return li;
+  }));
+}
+
+/**
+ * Count down, then sample the primary hand's landmarks for a moment.
+ */
+async function recordGesture(name, formationId) {
+  const recordBtn = trainPanel.elements['train-record'];
+  recordBtn.disabled = true;
+  try {
+    for (let n = 3; n > 0; n--) {
+      trainStatusEl.textContent = `Prepárate… ${n}`;
+      await sleep(1000);
     }
+
+    let taken = 0;
+    for (let i = 0; i < TRAIN_SAMPLES; i++) {
+      trainStatusEl.textContent = `⏺️ Grabando… ${Math.round((i / TRAIN_SAMPLES) * 100)}%`;
+      const hand = tracker.hands[0];
+      if (hand) {
+        classifier.addSample(name, hand.landmarks, hand.handedness);
+        taken++;
+      }
+      await sleep(TRAIN_INTERVAL);
+    }
+
+    if (taken === 0) {
+      trainStatusEl.textContent = '⚠️ No se vio ninguna mano, inténtalo de nuevo';
+      return;
+    }
+    classifier.bind(name, formationId);
+    classifier.save();
+    bindCustomGestures();
+    buildGestureGuide();
+    refreshTrainPanel();
+    trainStatusEl.textContent = `✅ "${name}" guardado (${taken} muestras)`;
+  } finally {
+    recordBtn.disabled = false;
+  }
+}
+
+trainPanel.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (!tracker.active) {
+    trainStatusEl.textContent = '📷 Activa la cámara primero';
+    return;
+  }
+  const name = trainPanel.elements.name.value.trim();
+  if (!name) return;
+  recordGesture(name, trainPanel.elements.formation.value);
+});
+
+trainBtn.addEventListener('click', () => {
+  refreshTrainPanel();
+  trainPanel.hidden = false;
+});
+
+document.getElementById('train-close').addEventListener('click', () => {
+  trainPanel.hidden = true;
+});
+
+/* ────────────────────────────────────────────────── */
+/*  Capture (screenshot / recording)                  */
+/* ────────────────────────────────────────────────── */
+const TAKE_HOLD = 2500;   // ms each formation stays on screen in a take
+const recorder = new Recorder(renderer.domElement);
+
+/** Aborts the running take (stop button, or another recording starting) */
+let take = null;
+
+function cancelTake() {
+  take?.abort();
+  take = null;
+}
+
+/**
+ * Draw one frame at width × height for a screenshot; returns a function
+ * that restores the on-screen size.  Point sprites are scaled with the
+ * height so stars look the same at any resolution.
+ */
+function renderAt(width, height) {
+  camera3D.aspect = width / height;
+  camera3D.updateProjectionMatrix();
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  post.setSize(width, height);
+  particles.material.uniforms.uPixelRatio.value = height / innerHeight;
+  post.render(clock.getElapsedTime());
+  return applyViewportSize;
+}
+
+function openCapturePanel() {
+  const select = capturePanel.elements.size;
+  if (select.options.length === 0) {
+    select.append(...Object.entries(CAPTURE_SIZES).map(([key, size]) => new Option(size.label, key)));
+  }
+  const canRecord = Recorder.supported;
+  capturePanel.elements['capture-record'].disabled = !canRecord;
+  capturePanel.elements['capture-take'].disabled = !canRecord;
+  captureStatusEl.textContent = canRecord ? '' : '⚠️ Este navegador no puede grabar vídeo';
+  capturePanel.hidden = false;
+}
+
+async function saveScreenshot() {
+  const size = CAPTURE_SIZES[capturePanel.elements.size.value];
+  try {
+    downloadBlob(await takeScreenshot(renderer.domElement, renderAt, size), captureFilename('png'));
+    captureStatusEl.textContent = '✅ Foto guardada';
+  } catch (err) {
+    console.error('Screenshot failed', err);
+    captureStatusEl.textContent = '⚠️ No se pudo guardar la foto';
+  }
+}
+
+/** Countdown, then record until stopRecording() (or the take ends) */
+async function startRecording() {
+  capturePanel.hidden = true;
+  captureBtn.disabled = true;
+  await countdown(countdownEl);
+  captureBtn.disabled = false;
+  recorder.audioStream = audioReactor.stream;
+  try {
+    await recorder.start();
+  } catch (err) {
+    console.error('Recording failed to start', err);
+    captureStatusEl.textContent = '⚠️ No se pudo empezar a grabar';
+    capturePanel.hidden = false;
+    return false;
+  }
+  captureBtn.textContent = '⏹️ Detener';
+  captureBtn.classList.add('recording');
+  return true;
+}
+
+async function stopRecording() {
+  cancelTake();
+  if (!recorder.recording) return;
+  const clip = await recorder.stop();
+  captureBtn.textContent = '📸 Capturar';
+  captureBtn.classList.remove('recording');
+  downloadBlob(clip, captureFilename('webm'));
+}
+
+/** One-click clip: every formation in config order, then stop */
+async function recordTake() {
+  cancelTake();
+  take = new AbortController();
+  const { signal } = take;
+  if (!(await startRecording()) || signal.aborted) return;
+
+  for (const def of sceneConfig.formations) {
+    await setFormation(def.id);
+    if (signal.aborted) return;
+    await sleep(TAKE_HOLD);
+    if (signal.aborted) return;
   }
-  _lastGesture = g;
+  await stopRecording();
 }
 
+captureBtn.addEventListener('click', () => {
+  if (recorder.recording) stopRecording();
+  else openCapturePanel();
+});
+
+capturePanel.elements.audio.addEventListener('change', (e) => {
+  recorder.setAudio(e.target.files[0] || null);
+});
+
+capturePanel.elements['capture-photo'].addEventListener('click', saveScreenshot);
+capturePanel.elements['capture-record'].addEventListener('click', () => {
+  cancelTake();
+  startRecording();
+});
+capturePanel.elements['capture-take'].addEventListener('click', recordTake);
+
+document.getElementById('capture-close').addEventListener('click', () => {
+  capturePanel.hidden = true;
+});
+
 /* ────────────────────────────────────────────────── */
-/*  Mouse / touch fallback attractor                  */
+/*  Audio-reactive particles                          */
 /* ────────────────────────────────────────────────── */
-const mouse = new THREE.Vector2(9999, 9999);
+const STRONG_BEAT = 2;              // beat strength that may switch formation
+const BEAT_SWITCH_INTERVAL = 4000;  // ms between beat-triggered switches
+const audioReactor = new AudioReactor();
+let lastBeatSwitch = 0;
+
+audioReactor.onBeat = (strength) => {
+  particles.pulse(THREE.MathUtils.clamp((strength - 1) * 2, 0.5, 3));
+
+  const now = performance.now();
+  if (
+    audioPanel.elements.beatSwitch.checked
+    && strength >= STRONG_BEAT
+    && !timelinePlayer?.playing
+    && now - lastBeatSwitch > BEAT_SWITCH_INTERVAL
+  ) {
+    lastBeatSwitch = now;
+    cycleFormation();
+  }
+};
+
+function updateAudioButton() {
+  audioBtn.textContent = {
+    file: '🎵 Sonando',
+    mic: '🎤 Escuchando',
+  }[audioReactor.source] ?? '🎵 Música';
+}
+
+/** Start an audio source, reporting failures in the panel */
+async function listenTo(start, okMessage) {
+  audioStatusEl.textContent = '';
+  try {
+    await start();
+    audioStatusEl.textContent = okMessage;
+  } catch (err) {
+    console.error('Audio input failed', err);
+    audioStatusEl.textContent = '⚠️ No se pudo usar ese audio';
+  }
+  updateAudioButton();
+}
+
+audioBtn.addEventListener('click', () => {
+  audioPanel.hidden = false;
+});
+
+audioPanel.elements.music.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) listenTo(() => audioReactor.useFile(file), `🎵 ${file.name}`);
+});
+
+document.getElementById('audio-mic').addEventListener('click', () => {
+  listenTo(() => audioReactor.useMicrophone(), '🎤 Escuchando el micrófono');
+});
 
-window.addEventListener('pointermove', (e) => {
-  mouse.x =  (e.clientX / innerWidth)  * 2 - 1;
-  mouse.y = -(e.clientY / innerHeight) * 2 + 1;
+document.getElementById('audio-stop').addEventListener('click', () => {
+  audioReactor.stop();
+  audioPanel.elements.music.value = '';
+  audioStatusEl.textContent = '';
+  updateAudioButton();
 });
 
-window.addEventListener('pointerleave', () => {
-  mouse.set(9999, 9999);
+document.getElementById('audio-close').addEventListener('click', () => {
+  audioPanel.hidden = true;
 });
 
+/* ────────────────────────────────────────────────── */
+/*  Input (hands, mouse / touch, keyboard, gamepad)   */
+/* ────────────────────────────────────────────────── */
+const input = new InputManager();
+input.add(new HandAdapter(handInput));
+input.add(new GamepadAdapter());
+input.add(new PointerAdapter());
+input.add(new KeyboardAdapter());
+
+/** Carry out an action from any input source */
+function runAction(action) {
+  switch (action.type) {
+    case 'select': {
+      const id = action.formation ?? sceneConfig.formations[action.index]?.id;
+      if (id) setFormation(id);
+      break;
+    }
+    case 'next':
+      cycleFormation(1);
+      break;
+    case 'prev':
+      cycleFormation(-1);
+      break;
+    case 'burst':
+      particles.burst();
+      break;
+    case 'gesture': {
+      const id = gestureToFormation[action.gesture];
+      if (id) setFormation(id);
+      const field = boundField(action.gesture);
+      if (field?.duration && action.x !== undefined) {
+        particles.addField({ ...field, position: getAttractorFromNDC(action) });
+      }
+      break;
+    }
+    case 'shockwave':
+      particles.addField({ type: 'shockwave', position: getAttractorFromNDC(action) });
+      break;
+    case 'home':
+      cameraRig.flyTo(formationDefs[currentFormation]?.camera);
+      break;
+    case 'cinematic':
+      toggleCinematic();
+      break;
+    case 'motion': {
+      /* Scene bindings are 'next' | 'prev' | 'burst' | a formation id */
+      const binding = sceneConfig.motionBindings[action.gesture];
+      if (!binding) break;
+      runAction(['next', 'prev', 'burst'].includes(binding)
+        ? { type: binding }
+        : { type: 'select', formation: binding });
+      break;
+    }
+  }
+}
+
+input.onAction = runAction;
+
+/** The field the scene binds to a pose, if any (see fieldBindings) */
+function boundField(gesture) {
+  const bindings = sceneConfig.fieldBindings;
+  return typeof gesture === 'string' && Object.hasOwn(bindings, gesture) ? bindings[gesture] : null;
+}
+
+/**
+ * An input point as a particle field: the fingertip's pull, or the field
+ * its hand's pose holds (fist → vortex…) while the pose lasts.
+ */
+function attractorField(point) {
+  const position = getAttractorFromNDC(point);
+  const held = boundField(point.gesture);
+  if (held && !held.duration) return { ...held, position, strength: held.strength * point.strength };
+  return { position, strength: particles.attractStrength * point.strength };
+}
+
+/**
+ * A screen point (NDC) in formation space, where fields act: the point
+ * under it facing the camera, wherever the camera is, with the
+ * formation's rotation and scale undone.
+ */
 function getAttractorFromNDC(ndc) {
-  const vec = new THREE.Vector3(ndc.x, ndc.y, 0.5);
-  vec.unproject(camera3D);
-  const dir = vec.sub(camera3D.position).normalize();
-  const dist = -camera3D.position.z / dir.z;
-  return camera3D.position.clone().add(dir.multiplyScalar(dist));
+  return particles.mesh.worldToLocal(cameraRig.pointAt(ndc));
 }
 
 /* ────────────────────────────────────────────────── */
@@ -245,51 +1191,157 @@ function animate() {
   requestAnimationFrame(animate);
 
   const elapsed = clock.getElapsedTime();
+  governor.frame(elapsed);
+  particles.audioLevels = audioReactor.active ? audioReactor.update(elapsed) : null;
 
-  /* Process gesture → formation */
-  processGesture();
-
-  /* Attractor: hand > mouse */
-  if (tracker.active && tracker.fingerPos) {
-    particles.attractor = getAttractorFromNDC(tracker.fingerPos);
-  } else if (mouse.x < 9000) {
-    particles.attractor = getAttractorFromNDC(mouse);
-  } else {
-    particles.attractor = null;
+  /* A paired controller only tracks and sends; the big screen draws */
+  if (remote?.role === 'controller') {
+    sendRemoteFrame();
+    return;
   }
 
-  /* Rotation — faster spin for planet, gentle sway for others */
-  if (currentFormation === F.PLANET) {
-    particles.mesh.rotation.y += 0.006;
-    particles.mesh.rotation.x = Math.sin(elapsed * 0.15) * 0.25;
+  /* Gestures and keys have already fired their actions; read the rest */
+  const frame = input.poll(elapsed);
+  processHandSpread(frame.spread);
+
+  /* Camera: user orbit, flights, zoom from the other inputs (pinch,
+     triggers, keys), cinematic drift */
+  cameraRig.update(elapsed, frame.zoom);
+
+  const s = THREE.MathUtils.lerp(particles.mesh.scale.x, formationScale, 0.15);
+  particles.mesh.scale.setScalar(s);
+
+  /* Rotation — steered while an input asks for it (palm, stick, twist,
+     keys), otherwise faster spin for 'spin' formations and gentle sway
+     for others */
+  const rot = particles.mesh.rotation;
+  if (frame.rotation) {
+    rot.x = approachAngle(rot.x, frame.rotation.x, 0.1);
+    rot.y = approachAngle(rot.y, frame.rotation.y, 0.15);
+    rot.z = approachAngle(rot.z, frame.rotation.z, 0.15);
+  } else if (formationDefs[currentFormation].motion === 'spin') {
+    rot.y = approachAngle(rot.y, rot.y + 0.006, 1);
+    rot.x = approachAngle(rot.x, Math.sin(elapsed * 0.15) * 0.25, 0.1);
+    rot.z = approachAngle(rot.z, 0, 0.1);
   } else {
-    particles.mesh.rotation.y = Math.sin(elapsed * 0.1) * 0.3;
-    particles.mesh.rotation.x = Math.sin(elapsed * 0.07) * 0.1;
+    rot.y = approachAngle(rot.y, Math.sin(elapsed * 0.1) * 0.3, 0.1);
+    rot.x = approachAngle(rot.x, Math.sin(elapsed * 0.07) * 0.1, 0.1);
+    rot.z = approachAngle(rot.z, 0, 0.1);
   }
 
+  /* Attractors go in after the formation has moved, so they land under
+     the pointer */
+  particles.mesh.updateMatrixWorld();
+  particles.attractors = frame.attractors.map(attractorField);
+
   particles.update(elapsed);
-  renderer.render(scene, camera3D);
+  post.render(elapsed);
+
+  statsOverlay?.update(elapsed, {
+    governor,
+    particles: particles.activeCount,
+    tracking: tracker.active ? tracker.stats : null,
+  });
 }
 
 /* ────────────────────────────────────────────────── */
 /*  Resize                                            */
 /* ────────────────────────────────────────────────── */
-window.addEventListener('resize', () => {
+/**
+ * Size of the visible area in the z = 0 plane, where formations live.
+ */
+function visibleArea() {
+  const height = 2 * CAMERA_DISTANCE * Math.tan(THREE.MathUtils.degToRad(camera3D.fov / 2));
+  return { width: height * camera3D.aspect, height };
+}
+
+/** Re-fit text once the window has settled on a noticeably different shape */
+const REFIT_DELAY = 300;       // ms
+const REFIT_THRESHOLD = 0.1;   // relative change in width or height
+let refitTimer = null;
+
+function refitFormations() {
+  const next = visibleArea();
+  const prev = formationStore.viewport;
+  const change = Math.max(
+    Math.abs(next.width - prev.width) / prev.width,
+    Math.abs(next.height - prev.height) / prev.height,
+  );
+  if (change < REFIT_THRESHOLD) return;
+
+  const stale = formationStore.setViewport(next);
+  if (stale.includes(currentFormation)) {
+    const id = currentFormation;
+    const def = formationDefs[id];
+    formationStore.get(def).then((formation) => {
+      if (currentFormation === id) showFormation(def, formation);
+    }, (err) => {
+      console.error(`Formation "${id}" failed to generate`, err);
+    });
+  }
+}
+
+/** Size camera, renderer and effects to the window */
+function applyViewportSize() {
   camera3D.aspect = innerWidth / innerHeight;
   camera3D.updateProjectionMatrix();
+  renderer.setPixelRatio(pixelRatio());
   renderer.setSize(innerWidth, innerHeight);
-  renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
-  particles.material.uniforms.uPixelRatio.value = Math.min(devicePixelRatio, 2);
+  post.setSize(innerWidth, innerHeight);
+  particles.material.uniforms.uPixelRatio.value = pixelRatio();
+}
+
+window.addEventListener('resize', () => {
+  applyViewportSize();
+
+  clearTimeout(refitTimer);
+  refitTimer = setTimeout(refitFormations, REFIT_DELAY);
 });
 
 /* ────────────────────────────────────────────────── */
 /*  Boot                                              */
 /* ────────────────────────────────────────────────── */
-toggleBtn.addEventListener('click', cycleFormation);
+toggleBtn.addEventListener('click', () => cycleFormation());
 cameraBtn.addEventListener('click', toggleCamera);
+shareBtn.addEventListener('click', openSharePanel);
+fxBtn.addEventListener('click', cyclePostPreset);
+cineBtn.addEventListener('click', toggleCinematic);
+updateFxButton();
 
-precomputeFormations().then(() => {
+retryBtn.addEventListener('click', () => location.reload());
+
+/* Say so instead of spinning forever when something is slow or broken */
+const LOADING_SLOW_MS = 15000;
+const slowTimer = setTimeout(() => {
+  loadingMsgEl.textContent = 'Esto está tardando más de lo normal…';
+}, LOADING_SLOW_MS);
+
+registerServiceWorker();
+applyQualityTier(governor.settings);
+
+loadSceneConfig().then((scene) => {
+  baseScene = scene;
+  sceneConfig = personalizeScene(scene, readPersonalization());
+  document.title = sceneConfig.pageTitle;
+  buildGestureGuide();
+  return prepareFormations();
+}).then(() => {
+  setupTimeline();
+  for (const field of sceneConfig.fields) particles.addField(field);
+  clearTimeout(slowTimer);
   loadingEl.classList.add('hidden');
   uiEl.style.display = '';
   animate();
+
+  /* Link shown by a shared screen: pair as its controller */
+  const joinCode = new URLSearchParams(location.search).get('join');
+  if (joinCode) joinRemote(joinCode);
+}, (err) => {
+  console.error('Could not prepare the first formation', err);
+  clearTimeout(slowTimer);
+  loadingEl.classList.add('failed');
+  loadingMsgEl.textContent = navigator.onLine
+    ? '💔 No se pudieron cargar las estrellas'
+    : '💔 Sin conexión: conéctate una vez para guardar las estrellas en este dispositivo';
+  retryBtn.hidden = false;
 });
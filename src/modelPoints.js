@@ -0,0 +1,252 @@
+/**
+ * modelPoints.js
+ * ───────────────
+ * Turns 3D models (glTF / GLB or OBJ) into formations: every mesh surface
+ * is sampled area-weighted, the cloud is centred and scaled to a common
+ * size, and each point can keep the model's colour — from the texture at
+ * that spot, the vertex colours, or the material colour.
+ *
+ * Like the picture generators, models are loaded up front with loadModel()
+ * and cached by URL.  Loading uses the regular three.js loaders (textures
+ * need an image decoder), so model formations run on the main thread.
+ */
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { sampleSurface, fitScale } from './sampling.js';
+
+export const MODEL_FORMATS = ['gltf', 'obj'];
+
+/** 'auto' = texture if there is one, else vertex colours, else material */
+export const MODEL_COLOR_MODES = ['auto', 'none'];
+
+/** Longest side textures are read back at */
+const MAX_TEXTURE_SIZE = 512;
+
+const FIT_SHARE = { width: 0.85, height: 0.75 };
+
+/** url → Object3D */
+const _models = new Map();
+
+/** Texture → { width, height, data } pixels read back for colour lookups */
+const _texturePixels = new WeakMap();
+
+/* ────────────────────────────────────────────────── */
+/*  Loading                                           */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Format of a model file from its name: 'gltf' (.gltf / .glb), 'obj', or
+ * null if unknown.
+ */
+export function modelFormat(filename) {
+  const ext = filename.toLowerCase().split('?')[0].split('.').pop();
+  if (ext === 'gltf' || ext === 'glb') return 'gltf';
+  if (ext === 'obj') return 'obj';
+  return null;
+}
+
+/**
+ * Whether a .gltf (its JSON text) keeps buffers or textures in separate
+ * files.  Those resolve next to the model's URL, which a single dropped
+ * file (a blob: URL) doesn't have.  Unreadable JSON is left for the loader
+ * to report.
+ */
+export function gltfHasExternalFiles(text) {
+  let gltf;
+  try {
+    gltf = JSON.parse(text);
+  } catch {
+    return false;
+  }
+  const resources = [...(gltf.buffers ?? []), ...(gltf.images ?? [])];
+  return resources.some((r) => typeof r.uri === 'string' && !r.uri.startsWith('data:'));
+}
+
+/**
+ * Load and cache a model.  `format` is needed for URLs without a file
+ * extension (blob: URLs of dropped files).
+ * @returns {Promise<THREE.Object3D>}
+ */
+export async function loadModel(url, format = modelFormat(url)) {
+  if (_models.has(url)) return _models.get(url);
+
+  let root;
+  if (format === 'gltf') {
+    root = (await new GLTFLoader().loadAsync(url)).scene;
+  } else if (format === 'obj') {
+    root = await new OBJLoader().loadAsync(url);
+  } else {
+    throw new Error(`Unknown model format for ${url}`);
+  }
+
+  _models.set(url, root);
+  return root;
+}
+
+/** A model loadModel() has finished with */
+export function loadedModel(url) {
+  if (!_models.has(url)) throw new Error(`Model ${url} generated before it loaded`);
+  return _models.get(url);
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Generator                                         */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Sample a loaded model.
+ *
+ * @param {object} [options]
+ * @param {string} [options.colors]    'auto' | 'none' (see MODEL_COLOR_MODES)
+ * @param {number} [options.size]      largest dimension in world units
+ * @param {number[]} [options.rotation] [x, y, z] degrees, to stand the model up
+ * @param {?{width: number, height: number}} [options.viewport]
+ * @returns {{positions: Float32Array, colors: ?Float32Array}}
+ */
+export function getModelPositions(root, count = 4000, {
+  colors = 'auto',
+  size = 10,
+  rotation = [0, 0, 0],
+  viewport = null,
+} = {}) {
+  root.updateMatrixWorld(true);
+
+  /* World-space geometry of every mesh, with its area */
+  const meshes = [];
+  root.traverse((obj) => {
+    if (!obj.isMesh || !obj.geometry.getAttribute('position')) return;
+    const geometry = obj.geometry.clone().applyMatrix4(obj.matrixWorld);
+    const material = Array.isArray(obj.material) ? obj.material[0] : obj.material;
+    meshes.push({ geometry, material, area: surfaceArea(geometry) });
+  });
+  const totalArea = meshes.reduce((sum, m) => sum + m.area, 0);
+  if (totalArea === 0) throw new Error('Model has no surfaces to sample');
+
+  /* Split the points between meshes by area (largest remainder) */
+  const shares = meshes.map((m) => (count * m.area) / totalArea);
+  const counts = shares.map(Math.floor);
+  const left = count - counts.reduce((a, b) => a + b, 0);
+  shares
+    .map((share, i) => ({ i, rest: share - counts[i] }))
+    .sort((a, b) => b.rest - a.rest)
+    .slice(0, left)
+    .forEach(({ i }) => counts[i]++);
+
+  const positions = new Float32Array(count * 3);
+  const outColors = colors === 'none' ? null : new Float32Array(count * 3);
+  let offset = 0;
+  meshes.forEach(({ geometry, material }, m) => {
+    const n = counts[m];
+    if (n > 0) {
+      const vertexColors = new Float32Array(n * 3);
+      const uvs = new Float32Array(n * 2);
+      positions.set(sampleSurface(geometry, n, { colors: vertexColors, uvs }), offset * 3);
+      if (outColors) {
+        outColors.set(surfaceColors(geometry, material, n, vertexColors, uvs), offset * 3);
+      }
+      offset += n;
+    }
+    geometry.dispose();
+  });
+
+  normalize(positions, size, rotation, viewport);
+  return { positions, colors: outColors };
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Helpers                                           */
+/* ────────────────────────────────────────────────── */
+
+function surfaceArea(geometry) {
+  const pos = geometry.getAttribute('position');
+  const idx = geometry.getIndex();
+  const tri = new THREE.Triangle();
+  const triCount = idx ? idx.count / 3 : pos.count / 3;
+  let area = 0;
+  for (let i = 0; i < triCount; i++) {
+    if (idx) tri.setFromAttributeAndIndices(pos, idx.getX(i * 3), idx.getX(i * 3 + 1), idx.getX(i * 3 + 2));
+    else tri.setFromAttributeAndIndices(pos, i * 3, i * 3 + 1, i * 3 + 2);
+    area += tri.getArea();
+  }
+  return area;
+}
+
+/**
+ * Display (sRGB) colour of `n` sampled points: material colour, times the
+ * texture texel or the interpolated vertex colour when the mesh has one.
+ */
+function surfaceColors(geometry, material, n, vertexColors, uvs) {
+  const out = new Float32Array(n * 3);
+  const base = material?.color ? material.color.clone() : new THREE.Color(1, 1, 1);
+  const hasVertexColors = Boolean(geometry.getAttribute('color'));
+  const pixels = material?.map && geometry.getAttribute('uv') ? texturePixels(material.map) : null;
+  const c = new THREE.Color();
+  const vc = new THREE.Color();
+
+  for (let i = 0; i < n; i++) {
+    c.copy(base);
+    if (hasVertexColors) c.multiply(vc.fromArray(vertexColors, i * 3));
+    c.convertLinearToSRGB();   // colours above are linear, the shader shows them as is
+
+    if (pixels) {
+      const u = uvs[i * 2] - Math.floor(uvs[i * 2]);
+      const v = uvs[i * 2 + 1] - Math.floor(uvs[i * 2 + 1]);
+      const px = Math.min(pixels.width - 1, Math.floor(u * pixels.width));
+      const py = Math.min(pixels.height - 1, Math.floor((material.map.flipY ? 1 - v : v) * pixels.height));
+      const t = (py * pixels.width + px) * 4;
+      c.r *= pixels.data[t] / 255;
+      c.g *= pixels.data[t + 1] / 255;
+      c.b *= pixels.data[t + 2] / 255;
+    }
+    out[i * 3]     = c.r;
+    out[i * 3 + 1] = c.g;
+    out[i * 3 + 2] = c.b;
+  }
+  return out;
+}
+
+/** Read a texture's image back into RGBA bytes (cached per texture) */
+function texturePixels(texture) {
+  const image = texture.image;
+  if (!image?.width) return null;
+  if (_texturePixels.has(texture)) return _texturePixels.get(texture);
+
+  const scale = Math.min(1, MAX_TEXTURE_SIZE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+
+  const pixels = { width, height, data: ctx.getImageData(0, 0, width, height).data };
+  _texturePixels.set(texture, pixels);
+  return pixels;
+}
+
+/**
+ * Rotate, centre on the origin and scale so the largest dimension is
+ * `size` (shrunk further to fit the viewport).
+ */
+function normalize(positions, size, rotation, viewport) {
+  const euler = new THREE.Euler(...rotation.map(THREE.MathUtils.degToRad));
+  const matrix = new THREE.Matrix4().makeRotationFromEuler(euler);
+  const p = new THREE.Vector3();
+  for (let i = 0; i < positions.length; i += 3) {
+    p.fromArray(positions, i).applyMatrix4(matrix).toArray(positions, i);
+  }
+
+  const box = new THREE.Box3().setFromArray(positions);
+  const centre = box.getCenter(new THREE.Vector3());
+  const dims = box.getSize(new THREE.Vector3());
+  const scale0 = size / Math.max(dims.x, dims.y, dims.z, 1e-6);
+  const scale = scale0 * fitScale(dims.x * scale0, dims.y * scale0, viewport, FIT_SHARE);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i]     = (positions[i] - centre.x) * scale;
+    positions[i + 1] = (positions[i + 1] - centre.y) * scale;
+    positions[i + 2] = (positions[i + 2] - centre.z) * scale;
+  }
+}
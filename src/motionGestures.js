@@ -0,0 +1,187 @@
+/**
+ * motionGestures.js
+ * ──────────────────
+ * Recognises gestures that only exist over time — swipes, circles, waves
+ * and throws — from a short history of each hand's landmarks.  Works next
+ * to the static pose classifier in handTracking.js, which stays as is.
+ *
+ * Motion gestures:
+ *   👈 SWIPE_LEFT / 👉 SWIPE_RIGHT — quick horizontal sweep of the hand
+ *   🔄 CIRCLE      — fingertip draws a full loop
+ *   👋 WAVE        — hand waves side to side (3+ direction changes)
+ *   🤾 THROW       — a closed fist opens while the hand moves fast
+ *
+ * Coordinates are the mirrored, −1…1 ones used for `fingerPos`, so "left"
+ * means the user's left as seen in the preview.
+ */
+
+export const MOTION_GESTURES = {
+  SWIPE_LEFT:  'SWIPE_LEFT',
+  SWIPE_RIGHT: 'SWIPE_RIGHT',
+  CIRCLE:      'CIRCLE',
+  WAVE:        'WAVE',
+  THROW:       'THROW',
+};
+
+export const MOTION_GESTURE_LABELS = {
+  [MOTION_GESTURES.SWIPE_LEFT]:  '👈 Deslizar a la izquierda',
+  [MOTION_GESTURES.SWIPE_RIGHT]: '👉 Deslizar a la derecha',
+  [MOTION_GESTURES.CIRCLE]:      '🔄 Círculo',
+  [MOTION_GESTURES.WAVE]:        '👋 Saludo',
+  [MOTION_GESTURES.THROW]:       '🤾 Lanzar',
+};
+
+/** Seconds of history kept per hand */
+const HISTORY = 1.4;
+
+/** Seconds during which a hand can't fire another motion gesture */
+const COOLDOWN = 0.8;
+
+const SWIPE = { window: 0.35, distance: 0.7, ratio: 2.0 };
+const CIRCLE = { window: 1.4, minRadius: 0.08, sweep: Math.PI * 1.7 };
+const WAVE = { window: 1.2, reversals: 3, amplitude: 0.12, maxDrift: 0.25 };
+/* `from` / `to` are static pose names from handTracking.js GESTURES */
+const THROW = { window: 0.3, speed: 2.5, from: 'FIST', to: 'OPEN' };
+
+export class MotionRecognizer {
+  constructor() {
+    /** handedness → { samples: [{t, x, y, tip, pose}], cooldownUntil } */
+    this._hands = {};
+  }
+
+  /**
+   * Feed one frame for one hand.
+   * @param {string} hand      handedness key ('Left' / 'Right')
+   * @param {number} t         timestamp, seconds
+   * @param {Array}  lm        MediaPipe landmarks
+   * @param {?string} pose     debounced static gesture (FIST, OPEN…)
+   * @returns {?{type: string, hand: string, direction?: {x: number, y: number}}}
+   */
+  update(hand, t, lm, pose) {
+    let state = this._hands[hand];
+    if (!state) state = this._hands[hand] = { samples: [], cooldownUntil: 0 };
+
+    const samples = state.samples;
+    samples.push({
+      t,
+      x: -(lm[9].x * 2 - 1),     // palm centre
+      y: -(lm[9].y * 2 - 1),
+      tip: { x: -(lm[8].x * 2 - 1), y: -(lm[8].y * 2 - 1) },
+      pose,
+    });
+    while (samples.length > 0 && t - samples[0].t > HISTORY) samples.shift();
+
+    if (t < state.cooldownUntil || samples.length < 4) return null;
+
+    const event =
+      this._detectThrow(samples, t) ||
+      this._detectSwipe(samples, t) ||
+      this._detectWave(samples, t) ||
+      this._detectCircle(samples, t);
+
+    if (event) {
+      state.cooldownUntil = t + COOLDOWN;
+      samples.length = 0;
+      return { ...event, hand };
+    }
+    return null;
+  }
+
+  /** Forget a hand that left the frame */
+  reset(hand) {
+    delete this._hands[hand];
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Detectors                               */
+  /* ──────────────────────────────────────── */
+
+  _detectSwipe(samples, t) {
+    const win = recent(samples, t, SWIPE.window);
+    if (win.length < 3) return null;
+
+    const dx = win[win.length - 1].x - win[0].x;
+    const dy = win[win.length - 1].y - win[0].y;
+    if (Math.abs(dx) < SWIPE.distance || Math.abs(dx) < Math.abs(dy) * SWIPE.ratio) return null;
+
+    return { type: dx < 0 ? MOTION_GESTURES.SWIPE_LEFT : MOTION_GESTURES.SWIPE_RIGHT };
+  }
+
+  _detectCircle(samples, t) {
+    const win = recent(samples, t, CIRCLE.window).map((s) => s.tip);
+    if (win.length < 10) return null;
+
+    const cx = win.reduce((a, p) => a + p.x, 0) / win.length;
+    const cy = win.reduce((a, p) => a + p.y, 0) / win.length;
+
+    /* Radius must be big enough and roughly constant */
+    const radii = win.map((p) => Math.hypot(p.x - cx, p.y - cy));
+    const meanR = radii.reduce((a, r) => a + r, 0) / radii.length;
+    if (meanR < CIRCLE.minRadius) return null;
+    if (radii.some((r) => r < meanR * 0.4 || r > meanR * 1.8)) return null;
+
+    /* Signed angle swept around the centroid */
+    let sweep = 0;
+    for (let i = 1; i < win.length; i++) {
+      const a0 = Math.atan2(win[i - 1].y - cy, win[i - 1].x - cx);
+      const a1 = Math.atan2(win[i].y - cy, win[i].x - cx);
+      sweep += Math.atan2(Math.sin(a1 - a0), Math.cos(a1 - a0));
+    }
+    if (Math.abs(sweep) < CIRCLE.sweep) return null;
+
+    return { type: MOTION_GESTURES.CIRCLE, clockwise: sweep < 0 };
+  }
+
+  _detectWave(samples, t) {
+    const win = recent(samples, t, WAVE.window);
+    if (win.length < 8) return null;
+
+    /* Count direction changes between swings of at least `amplitude`;
+       `anchor` follows the furthest point of the current swing */
+    let reversals = 0;
+    let dir = 0;
+    let anchor = win[0].x;
+    for (const s of win) {
+      const d = s.x - anchor;
+      if (dir === 0) {
+        if (Math.abs(d) >= WAVE.amplitude) { dir = Math.sign(d); anchor = s.x; }
+      } else if (Math.sign(d) === dir) {
+        anchor = s.x;
+      } else if (Math.abs(d) >= WAVE.amplitude) {
+        reversals++;
+        dir = -dir;
+        anchor = s.x;
+      }
+    }
+
+    const ys = win.map((s) => s.y);
+    const drift = Math.max(...ys) - Math.min(...ys);
+    if (reversals < WAVE.reversals || drift > WAVE.maxDrift) return null;
+
+    return { type: MOTION_GESTURES.WAVE };
+  }
+
+  _detectThrow(samples, t) {
+    const win = recent(samples, t, THROW.window);
+    if (win.length < 3) return null;
+
+    const first = win[0];
+    const last = win[win.length - 1];
+    if (last.pose !== THROW.to || !samples.some((s) => s.pose === THROW.from)) return null;
+
+    const dt = Math.max(last.t - first.t, 1e-3);
+    const vx = (last.x - first.x) / dt;
+    const vy = (last.y - first.y) / dt;
+    const speed = Math.hypot(vx, vy);
+    if (speed < THROW.speed) return null;
+
+    return { type: MOTION_GESTURES.THROW, direction: { x: vx / speed, y: vy / speed } };
+  }
+}
+
+/** Samples from the last `window` seconds */
+function recent(samples, t, window) {
+  let i = samples.length;
+  while (i > 0 && t - samples[i - 1].t <= window) i--;
+  return samples.slice(i);
+}
@@ -1,78 +1,300 @@
 /**
  * particles.js
  * ─────────────
- * Manages the star particle system: BufferGeometry, custom ShaderMaterial,
- * lerp transitions between formations, and finger-attraction force.
+ * Manages the star particle system: GPU simulation (GPUComputationRenderer
+ * ping-pong between float render targets), custom ShaderMaterial,
+ * transitions between formations (lerp, spring, tween, explode — see
+ * transitions.js), and force fields stacked on top (forces.js): the
+ * attract / repel points of fingers and the mouse, plus vortices,
+ * turbulence, wind and shockwaves added with addField().  Once they
+ * arrive, a formation's ambient motion (ambient.js) keeps its targets
+ * gently moving — drifting, orbiting, beating or shimmering.
+ *
+ * Particle i lives in texel i of the simulation textures; the render mesh
+ * only carries per-particle constants (texel reference, scale, colour) and
+ * reads its position from the current simulation texture.
+ *
+ * Every formation has a colour scheme (colors.js): the palette, a gradient,
+ * or the colours its generator produced (images, SVG…).  Target colours
+ * live in texel i of a colour texture too; each particle fades from its
+ * previous colour to the new one (or back to its palette colour) while it
+ * flies to its new position.
+ *
+ * Audio can drive the look (see audio.js): bass swells the stars, treble
+ * deepens their twinkle, and beats push the whole cloud outward for a
+ * moment.  This only touches the rendered positions, not the simulation.
+ *
+ * On every formation change the new target points are resampled to the
+ * particle count and assigned to particles by proximity (assignment.js),
+ * so morphs stay coherent instead of crossing randomly.
  */
 import * as THREE from 'three';
-import { starVertexShader, starFragmentShader } from './shaders.js';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { resampleTarget, assignTargets } from './assignment.js';
+import { normalizeColorScheme, schemeColors, toRgb } from './colors.js';
+import { normalizeField, packField } from './forces.js';
+import { normalizeAmbient, packAmbient } from './ambient.js';
+import {
+  SIM_MODES,
+  EASINGS,
+  STAGGER_BY,
+  normalizeTransition,
+  estimateDuration,
+} from './transitions.js';
+import {
+  simVelocityShader,
+  simPositionShader,
+  starVertexShader,
+  starFragmentShader,
+} from './shaders.js';
 
 const PARTICLE_COUNT = 5000;
 
+/** Size of the force-field uniform arrays in the position shader */
+const MAX_FIELDS = 16;
+
+/* ─── Audio reaction ─── */
+const BASE_TWINKLE = 0.35;      // twinkle amplitude without audio
+const BASS_SIZE = 0.9;          // extra star size at full bass
+const TREBLE_TWINKLE = 0.5;     // extra twinkle amplitude at full treble
+const MID_BREATH = 0.04;        // steady outward breathing at full mids
+const BEAT_EXPANSION = 0.12;    // outward push of a beat of strength 1
+const EXPANSION_DECAY = 0.25;   // seconds for a beat push to fade to ~37%
+
+/** Seconds a colour fade takes at least (instant transitions, recolours) */
+const MIN_COLOR_FADE = 0.4;
+
 /* ─── Romantic colour palette ─── */
-const PALETTE = [
-  new THREE.Color('#ffffff'),  // white
-  new THREE.Color('#ffb6c1'),  // light pink
-  new THREE.Color('#ff69b4'),  // hot pink
-  new THREE.Color('#da70d6'),  // orchid
-  new THREE.Color('#ba55d3'),  // medium orchid
-  new THREE.Color('#e0b0ff'),  // mauve
+export const DEFAULT_PALETTE = [
+  '#ffffff',  // white
+  '#ffb6c1',  // light pink
+  '#ff69b4',  // hot pink
+  '#da70d6',  // orchid
+  '#ba55d3',  // medium orchid
+  '#e0b0ff',  // mauve
 ];
 
 export class ParticleSystem {
-  constructor() {
-    this.count = PARTICLE_COUNT;
+  /**
+   * @param {THREE.WebGLRenderer} renderer  renderer that runs the simulation
+   * @param {{count?: number}} [options]
+   */
+  constructor(renderer, { count = PARTICLE_COUNT } = {}) {
+    this.count = count;
+
+    /* Simulation textures are square: size × size texels ≥ count */
+    this.textureSize = Math.ceil(Math.sqrt(count));
 
     /* Target positions the particles are lerp-ing towards */
     this._targetPositions = null;
 
-    /* Lerp speed (0 = frozen, 1 = instant) */
+    /* How target points are paired with particles: 'index' | 'spatial' | 'transport' */
+    this.assignment = 'spatial';
+
+    /* Default transition for setTarget() (spec or type name) */
+    this.transition = 'lerp';
+
+    /* Lerp speed once a transition has finished (0 = frozen, 1 = instant) */
     this.lerpSpeed = 0.08;
 
+    /* Default colour scheme for setTarget() (spec or type name, see colors.js) */
+    this.colorScheme = 'points';
+
+    /* Seconds a colour fade takes; null = as long as the transition */
+    this.colorFade = null;
+
+    /* Default ambient motion for setTarget() (spec or type name, see ambient.js) */
+    this.ambient = 'none';
+
+    /* When the current ambient motion started (null = on the next update) */
+    this._ambientStart = 0;
+
+    /* Base star size (before twinkle / audio) */
+    this.size = 80;
+
+    /**
+     * Audio levels to react to, updated by the caller every frame:
+     * { bass, mid, treble } (0–1, see audio.js) or null for none.
+     * Beats are passed to pulse().
+     */
+    this.audioLevels = null;
+    this._expansion = 0;
+    this._lastUpdate = null;
+
+    /* Active transition: { phases, index, phaseEnd, resolve } or null */
+    this._transition = null;
+
     /* Finger attractor (world-space vec3, null when inactive) */
     this.attractor = null;
     this.attractRadius = 4.0;
     this.attractStrength = 0.06;
 
-    this._buildGeometry();
+    /**
+     * Extra attractors / repulsors, used together with `attractor`:
+     * [{ position: Vector3, strength?, radius? }]; a negative strength
+     * pushes particles away.  Missing values fall back to attractStrength /
+     * attractRadius.  An entry may also carry any field spec keys (type,
+     * falloff, pull… see forces.js) to act as another kind of field for
+     * as long as it is in the list.
+     */
+    this.attractors = [];
+
+    /**
+     * Force fields from addField(), each with the time it started.
+     * Together with the attractors, at most MAX_FIELDS are applied.
+     */
+    this.fields = [];
+
+    this._buildSimulation(renderer);
+    this._buildGeometry(DEFAULT_PALETTE);
+    this._buildColors();
     this._buildMaterial();
     this.mesh = new THREE.Points(this.geometry, this.material);
+
+    /* Positions live in a texture, so the CPU bounding sphere is meaningless */
+    this.mesh.frustumCulled = false;
   }
 
   /* ──────────────────────────────────────── */
   /*  Construction                            */
   /* ──────────────────────────────────────── */
 
-  _buildGeometry() {
-    this.geometry = new THREE.BufferGeometry();
+  _buildSimulation(renderer) {
+    const size = this.textureSize;
+    this._gpgpu = new GPUComputationRenderer(size, size, renderer);
 
-    const positions = new Float32Array(this.count * 3);
-    const scales    = new Float32Array(this.count);
-    const randoms   = new Float32Array(this.count);
-    const colors    = new Float32Array(this.count * 3);
+    /* Mobile GPUs often can't render to 32-bit float targets */
+    if (!renderer.extensions.has('EXT_color_buffer_float')) {
+      this._gpgpu.setDataType(THREE.HalfFloatType);
+    }
 
+    /* Start at a random sphere position (kept on the CPU as the source
+       for the first target assignment) */
+    this._initialPositions = new Float32Array(this.count * 3);
+    this._randoms = new Float32Array(this.count);
+    const pos0 = this._gpgpu.createTexture();
+    const vel0 = this._gpgpu.createTexture();
+    this._particleData = this._gpgpu.createTexture();
+    const data = pos0.image.data;
     for (let i = 0; i < this.count; i++) {
-      /* Start at a random sphere position */
+      this._randoms[i] = Math.random();
+      this._particleData.image.data[i * 4] = this._randoms[i];
+
       const theta = Math.random() * Math.PI * 2;
       const phi   = Math.acos(2 * Math.random() - 1);
       const r     = 12 * Math.cbrt(Math.random());
-      positions[i * 3]     = r * Math.sin(phi) * Math.cos(theta);
-      positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-      positions[i * 3 + 2] = r * Math.cos(phi);
+      const x = r * Math.sin(phi) * Math.cos(theta);
+      const y = r * Math.sin(phi) * Math.sin(theta);
+      const z = r * Math.cos(phi);
+      this._initialPositions.set([x, y, z], i * 3);
+      data.set([x, y, z, 1], i * 4);
+    }
 
-      scales[i]  = 0.5 + Math.random() * 1.5;
-      randoms[i] = Math.random();
+    this._velVar = this._gpgpu.addVariable('textureVelocity', simVelocityShader, vel0);
+    this._posVar = this._gpgpu.addVariable('texturePosition', simPositionShader, pos0);
+    this._gpgpu.setVariableDependencies(this._velVar, [this._velVar, this._posVar]);
+    this._gpgpu.setVariableDependencies(this._posVar, [this._velVar, this._posVar]);
+
+    this._targetTexture = this._gpgpu.createTexture();
 
-      const c = PALETTE[Math.floor(Math.random() * PALETTE.length)];
-      colors[i * 3]     = c.r;
-      colors[i * 3 + 1] = c.g;
-      colors[i * 3 + 2] = c.b;
+    /* Snapshot of positions when a tween starts */
+    this._startTarget = this._gpgpu.createRenderTarget();
+
+    /* Uniforms both passes read share the same objects */
+    const common = {
+      uTarget:       { value: this._targetTexture },
+      uParticleData: { value: this._particleData },
+      uHasTarget:    { value: 0 },
+      uMode:         { value: SIM_MODES.lerp },
+      uTime:         { value: 0 },
+      uAmbientMode:  { value: 0 },
+      uAmbient:      { value: new THREE.Vector4() },
+      uAmbientStart: { value: 0 },
+    };
+
+    const v = this._velVar.material.uniforms;
+    Object.assign(v, common);
+    v.uStiffness = { value: 0 };
+    v.uDamping   = { value: 0 };
+    v.uDrag      = { value: 0.06 };
+    v.uKick      = { value: 0 };
+
+    const u = this._posVar.material.uniforms;
+    Object.assign(u, common);
+    u.uLerpSpeed       = { value: this.lerpSpeed };
+    u.uStart           = { value: this._startTarget.texture };
+    u.uTweenStart      = { value: 0 };
+    u.uDuration        = { value: 1 };
+    u.uEasing          = { value: EASINGS.linear };
+    u.uStagger         = { value: 0 };
+    u.uStaggerBy       = { value: STAGGER_BY.random };
+    u.uStaggerRadius   = { value: 1 };
+    const vectors = () => ({ value: Array.from({ length: MAX_FIELDS }, () => new THREE.Vector4()) });
+    u.uFields          = vectors();
+    u.uFieldShapes     = vectors();
+    u.uFieldDirs       = vectors();
+    u.uFieldCount      = { value: 0 };
+    this._posVar.material.defines.MAX_FIELDS = MAX_FIELDS;
+
+    const error = this._gpgpu.init();
+    if (error !== null) {
+      throw new Error(`GPU particle simulation unavailable: ${error}`);
+    }
+  }
+
+  _buildGeometry(palette) {
+    this.geometry = new THREE.BufferGeometry();
+
+    const size = this.textureSize;
+    const positions  = new Float32Array(this.count * 3);   // unused, sets draw count
+    const references = new Float32Array(this.count * 2);
+    const scales     = new Float32Array(this.count);
+    const randoms    = new Float32Array(this.count);
+    const colors     = new Float32Array(this.count * 3);
+
+    /* Which palette entry a particle gets, kept when the palette changes */
+    this._paletteSeeds = new Float32Array(this.count);
+
+    for (let i = 0; i < this.count; i++) {
+      /* Texel centre of particle i in the simulation textures */
+      references[i * 2]     = ((i % size) + 0.5) / size;
+      references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+
+      scales[i]  = 0.5 + Math.random() * 1.5;
+      randoms[i] = this._randoms[i];
+      this._paletteSeeds[i] = Math.random();
     }
 
-    this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    this.geometry.setAttribute('aScale',   new THREE.BufferAttribute(scales, 1));
-    this.geometry.setAttribute('aRandom',  new THREE.BufferAttribute(randoms, 1));
-    this.geometry.setAttribute('aColor',   new THREE.BufferAttribute(colors, 3));
+    this.geometry.setAttribute('position',   new THREE.BufferAttribute(positions, 3));
+    this.geometry.setAttribute('aReference', new THREE.BufferAttribute(references, 2));
+    this.geometry.setAttribute('aScale',     new THREE.BufferAttribute(scales, 1));
+    this.geometry.setAttribute('aRandom',    new THREE.BufferAttribute(randoms, 1));
+    this.geometry.setAttribute('aColor',     new THREE.BufferAttribute(colors, 3));
+    this._writePalette(palette);
+  }
+
+  /**
+   * Colour textures the vertex shader fades between: rgb = colour,
+   * a = how much of it replaces the particle's palette colour.
+   */
+  _buildColors() {
+    const size = this.textureSize;
+    const make = () => {
+      const tex = new THREE.DataTexture(new Uint8Array(size * size * 4), size, size);
+      tex.needsUpdate = true;
+      return tex;
+    };
+    this._colorFrom = make();
+    this._colorTo = make();
+
+    /* Time the current fade started (null = start on the next update) */
+    this._colorFadeStart = 0;
+    this._colorFadeDuration = MIN_COLOR_FADE;
+    this._colorBlend = 1;
+
+    /* Generator colours of the current target, in particle order, kept
+       for setColorScheme() */
+    this._pointColors = null;
   }
 
   _buildMaterial() {
@@ -81,8 +303,14 @@ export class ParticleSystem {
       fragmentShader: starFragmentShader,
       uniforms: {
         uTime:       { value: 0 },
-        uSize:       { value: 80 },
+        uSize:       { value: this.size },
+        uTwinkle:    { value: BASE_TWINKLE },
+        uExpansion:  { value: 0 },
         uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
+        uPositions:  { value: this._gpgpu.getCurrentRenderTarget(this._posVar).texture },
+        uColorFrom:  { value: this._colorFrom },
+        uColorTo:    { value: this._colorTo },
+        uColorBlend: { value: 1 },
       },
       transparent: true,
       depthWrite: false,
@@ -95,63 +323,393 @@ export class ParticleSystem {
   /* ──────────────────────────────────────── */
 
   /**
-   * Set a new target formation (Float32Array of length count*3).
-   * If the incoming array has fewer/more points than count, it wraps / trims.
+   * Set a new target formation (flat xyz Float32Array of any length).
+   * Points are resampled to `count` (thinned or spread evenly) and paired
+   * with particles according to `assignment` (defaults to this.assignment).
+   * The previous target stands in for the current positions, which live
+   * on the GPU.
+   *
+   * `transition` (defaults to this.transition) picks how particles get
+   * there.  Returns a promise that resolves `true` once the transition has
+   * finished, or `false` if another setTarget() interrupted it.
+   *
+   * `colors` (flat rgb 0–1, one per target point) are the generator's
+   * colours; `colorScheme` (defaults to this.colorScheme) decides what the
+   * particles actually show — with the default 'points' scheme, the
+   * generator colours, or the palette when there are none.  Colours fade
+   * over the transition (or `colorFade` seconds).
+   *
+   * `ambient` (defaults to this.ambient) is the idle motion of the new
+   * formation, starting from rest as the transition begins.
    */
-  setTarget(targetArray) {
-    const out = new Float32Array(this.count * 3);
-    const srcLen = targetArray.length / 3;
+  setTarget(targetArray, {
+    assignment = this.assignment,
+    transition = this.transition,
+    colors = null,
+    colorScheme = this.colorScheme,
+    ambient = this.ambient,
+  } = {}) {
+    const spec = normalizeTransition(transition);
+    const scheme = normalizeColorScheme(colorScheme);
+    const motion = normalizeAmbient(ambient);
+
+    const resampled = resampleTarget(targetArray, this.count, colors);
+    const source = this._targetPositions || this._initialPositions;
+    const { positions: out, colors: outColors } =
+      assignTargets(source, resampled.positions, assignment, resampled.colors);
+    this._targetPositions = out;
+    this._pointColors = outColors;
+    this._applyScheme(scheme, this._fadeDuration(spec));
+
+    const data = this._targetTexture.image.data;
+    let radius = 0;
     for (let i = 0; i < this.count; i++) {
-      const si = (i % srcLen) * 3;
-      out[i * 3]     = targetArray[si];
-      out[i * 3 + 1] = targetArray[si + 1];
-      out[i * 3 + 2] = targetArray[si + 2];
+      const x = out[i * 3], y = out[i * 3 + 1], z = out[i * 3 + 2];
+      data[i * 4]     = x;
+      data[i * 4 + 1] = y;
+      data[i * 4 + 2] = z;
+      data[i * 4 + 3] = 1;
+      radius = Math.max(radius, x * x + y * y + z * z);
     }
-    this._targetPositions = out;
+    this._targetTexture.needsUpdate = true;
+
+    const u = this._posVar.material.uniforms;
+    u.uHasTarget.value = 1;
+    u.uStaggerRadius.value = Math.max(Math.sqrt(radius), 1e-3);
+    packAmbient(u, motion);
+    this._ambientStart = null;
+
+    return this._beginTransition(spec);
+  }
+
+  /**
+   * Blast the particles outward and let them reform into the current
+   * target — an explode transition that keeps the formation.
+   * Returns the same kind of promise as setTarget().
+   */
+  burst(options = {}) {
+    if (!this._targetPositions) return Promise.resolve(false);
+    const spec = normalizeTransition({ reform: 'spring', ...options, type: 'explode' });
+
+    return this._beginTransition(spec);
+  }
+
+  /**
+   * Add a force field (a spec or type name, see forces.js) that acts until
+   * removeField() or, with a `duration`, until it runs out.  The returned
+   * field can be moved by changing its `position`.
+   */
+  addField(spec) {
+    const field = { ...normalizeField(spec), start: null };
+    this.fields.push(field);
+    return field;
+  }
+
+  removeField(field) {
+    const i = this.fields.indexOf(field);
+    if (i >= 0) this.fields.splice(i, 1);
+  }
+
+  /**
+   * Recolour the current formation in place with another colour scheme,
+   * fading over `duration` seconds (defaults to colorFade).
+   */
+  setColorScheme(colorScheme, { duration = this.colorFade } = {}) {
+    this._applyScheme(normalizeColorScheme(colorScheme), duration ?? MIN_COLOR_FADE);
+  }
+
+  /** Palette colours (CSS strings) particles show when not recoloured */
+  get palette() {
+    return this._palette.slice();
   }
 
   /**
-   * Called every frame.
+   * Swap the palette; particles keep their slot in it (the k-th colour
+   * stays the k-th colour) and fade over colorFade seconds.
+   */
+  set palette(colors) {
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new Error('Palette needs at least one colour');
+    }
+    this._bakeColors();
+    this._writePalette(colors);
+    this._startColorFade(this.colorFade ?? MIN_COLOR_FADE);
+  }
+
+  /** Colour fade progress, 0 (previous colours) → 1 (current scheme) */
+  get colorBlend() {
+    return this._colorBlend;
+  }
+
+  /**
+   * Push the particles outward for a moment (a beat); strength ~1 for an
+   * ordinary beat, more for a strong one.  Overlapping pulses don't stack.
+   */
+  pulse(strength = 1) {
+    this._expansion = Math.max(this._expansion, strength * BEAT_EXPANSION);
+  }
+
+  /** Particles drawn (the first n); the rest keep simulating unseen */
+  get activeCount() {
+    return this.geometry.drawRange.count === Infinity ? this.count : this.geometry.drawRange.count;
+  }
+
+  /**
+   * Draw only the first `n` particles.  Every assignment mode hands out
+   * target points in an order unrelated to particle index (see
+   * assignment.js), so the drawn ones still cover the whole formation.
+   */
+  set activeCount(n) {
+    this.geometry.setDrawRange(0, THREE.MathUtils.clamp(Math.round(n), 0, this.count));
+  }
+
+  /** Whether a transition is still running */
+  get transitioning() {
+    return this._transition !== null;
+  }
+
+  /**
+   * Called every frame: advances the transition and runs one simulation
+   * step on the GPU.
    */
   update(elapsed) {
     this.material.uniforms.uTime.value = elapsed;
+    this._updateAudio(elapsed);
 
-    const posAttr = this.geometry.getAttribute('position');
-    const pos = posAttr.array;
+    const u = this._posVar.material.uniforms;
+    u.uTime.value = elapsed;
+    if (this._ambientStart === null) this._ambientStart = u.uAmbientStart.value = elapsed;
 
-    for (let i = 0; i < this.count; i++) {
-      const ix = i * 3;
-      const iy = ix + 1;
-      const iz = ix + 2;
-
-      /* 1) Lerp toward target formation */
-      if (this._targetPositions) {
-        pos[ix] += (this._targetPositions[ix] - pos[ix]) * this.lerpSpeed;
-        pos[iy] += (this._targetPositions[iy] - pos[iy]) * this.lerpSpeed;
-        pos[iz] += (this._targetPositions[iz] - pos[iz]) * this.lerpSpeed;
-      }
+    if (this._colorFadeStart === null) this._colorFadeStart = elapsed;
+    this._colorBlend = Math.min((elapsed - this._colorFadeStart) / this._colorFadeDuration, 1);
+    const t = this._colorBlend;
+    this.material.uniforms.uColorBlend.value = t * t * (3 - 2 * t);   // smoothstep
 
-      /* 2) Finger attractor force */
-      if (this.attractor) {
-        const dx = this.attractor.x - pos[ix];
-        const dy = this.attractor.y - pos[iy];
-        const dz = this.attractor.z - pos[iz];
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-        if (dist < this.attractRadius && dist > 0.01) {
-          const force = this.attractStrength * (1 - dist / this.attractRadius);
-          pos[ix] += dx / dist * force;
-          pos[iy] += dy / dist * force;
-          pos[iz] += dz / dist * force;
-        }
-      }
+    if (this._transition) {
+      this._advanceTransition(elapsed);
+    } else {
+      u.uMode.value = SIM_MODES.lerp;
+      u.uLerpSpeed.value = this.lerpSpeed;
     }
 
-    posAttr.needsUpdate = true;
+    this._uploadFields(elapsed);
+
+    this._gpgpu.compute();
+    this.material.uniforms.uPositions.value =
+      this._gpgpu.getCurrentRenderTarget(this._posVar).texture;
+
+    /* The explode kick lasts a single frame */
+    this._velVar.material.uniforms.uKick.value = 0;
   }
 
   dispose() {
+    this._endTransition(false);
     this.geometry.dispose();
     this.material.dispose();
+    this._targetTexture.dispose();
+    this._particleData.dispose();
+    this._colorFrom.dispose();
+    this._colorTo.dispose();
+    this._startTarget.dispose();
+    this._gpgpu.dispose();
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Colours                                 */
+  /* ──────────────────────────────────────── */
+
+  /** Fade to a scheme's colours for the current target */
+  _applyScheme(scheme, duration) {
+    const colors = this._targetPositions
+      ? schemeColors(scheme, this._targetPositions, this._pointColors, this._randoms)
+      : null;
+    this._setTargetColors(colors, colors ? scheme.strength : 0);
+    this._startColorFade(duration);
+  }
+
+  /** Colour fades run alongside the movement, however long that takes */
+  _fadeDuration(spec) {
+    if (this.colorFade !== null) return this.colorFade;
+    return Math.max(estimateDuration(spec), MIN_COLOR_FADE);
+  }
+
+  /**
+   * Set new per-particle target colours (null = palette colours); `weight`
+   * (0–1) is how much they replace the palette colour.  The colour shown
+   * right now becomes the start of the fade, so an interrupted fade doesn't
+   * jump.
+   */
+  _setTargetColors(colors, weight = 1) {
+    this._bakeColors();
+    const to = this._colorTo.image.data;
+    for (let i = 0; i < this.count; i++) {
+      for (let c = 0; c < 3; c++) {
+        to[i * 4 + c] = colors ? colors[i * 3 + c] * 255 : 0;
+      }
+      to[i * 4 + 3] = colors ? weight * 255 : 0;
+    }
+    this._colorTo.needsUpdate = true;
+  }
+
+  /** Freeze the colour shown right now (mid-fade too) into the `from` texture */
+  _bakeColors() {
+    const from = this._colorFrom.image.data;
+    const to = this._colorTo.image.data;
+    const palette = this.geometry.getAttribute('aColor').array;
+    const t = this.material.uniforms.uColorBlend.value;
+
+    for (let i = 0; i < this.count; i++) {
+      for (let c = 0; c < 3; c++) {
+        const base = palette[i * 3 + c] * 255;
+        const a = base + (from[i * 4 + c] - base) * (from[i * 4 + 3] / 255);
+        const b = base + (to[i * 4 + c] - base) * (to[i * 4 + 3] / 255);
+        from[i * 4 + c] = a + (b - a) * t;
+      }
+      from[i * 4 + 3] = 255;
+    }
+    this._colorFrom.needsUpdate = true;
+  }
+
+  _startColorFade(duration) {
+    this._colorFadeDuration = Math.max(duration, 1e-3);
+    this._colorFadeStart = null;
+    this._colorBlend = 0;
+    this.material.uniforms.uColorBlend.value = 0;
+  }
+
+  /** Fill the aColor attribute from a list of CSS colours */
+  _writePalette(palette) {
+    this._palette = palette.slice();
+    const rgb = palette.map(toRgb);
+    const attr = this.geometry.getAttribute('aColor');
+    for (let i = 0; i < this.count; i++) {
+      attr.array.set(rgb[Math.floor(this._paletteSeeds[i] * rgb.length)], i * 3);
+    }
+    attr.needsUpdate = true;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Audio                                   */
+  /* ──────────────────────────────────────── */
+
+  _updateAudio(elapsed) {
+    const dt = this._lastUpdate === null ? 0 : elapsed - this._lastUpdate;
+    this._lastUpdate = elapsed;
+    this._expansion *= Math.exp(-dt / EXPANSION_DECAY);
+
+    const { bass = 0, mid = 0, treble = 0 } = this.audioLevels || {};
+    const u = this.material.uniforms;
+    u.uSize.value = this.size * (1 + bass * BASS_SIZE);
+    u.uTwinkle.value = Math.min(BASE_TWINKLE + treble * TREBLE_TWINKLE, 0.95);
+    u.uExpansion.value = this._expansion + mid * MID_BREATH;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Forces                                  */
+  /* ──────────────────────────────────────── */
+
+  /** Drop expired fields and pack the rest, attractors first */
+  _uploadFields(elapsed) {
+    for (const field of this.fields) field.start ??= elapsed;
+    this.fields = this.fields.filter((f) => f.duration === null || elapsed - f.start < f.duration);
+
+    const u = this._posVar.material.uniforms;
+    const attractors = this.attractor
+      ? [{ position: this.attractor }, ...this.attractors]
+      : this.attractors;
+
+    let n = 0;
+    for (const a of attractors) {
+      if (n === MAX_FIELDS) break;
+      packField(u, n++, {
+        strength: this.attractStrength,
+        radius: this.attractRadius,
+        ...a,
+      }, 0, elapsed);
+    }
+    for (const field of this.fields) {
+      if (n === MAX_FIELDS) break;
+      packField(u, n++, field, elapsed - field.start, elapsed);
+    }
+    u.uFieldCount.value = n;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Transitions                             */
+  /* ──────────────────────────────────────── */
+
+  /** Replace any running transition; phases start on the next update() */
+  _beginTransition(spec) {
+    this._endTransition(false);
+    return new Promise((resolve) => {
+      this._transition = {
+        phases: spec.type === 'explode' ? [spec, spec.reform] : [spec],
+        index: -1,
+        phaseEnd: 0,
+        resolve,
+      };
+    });
+  }
+
+  _advanceTransition(elapsed) {
+    const tr = this._transition;
+    while (tr.index < 0 || elapsed >= tr.phaseEnd) {
+      tr.index++;
+      if (tr.index >= tr.phases.length) {
+        this._endTransition(true);
+        return;
+      }
+      const phase = tr.phases[tr.index];
+      this._startPhase(phase, elapsed);
+      tr.phaseEnd = elapsed + (phase.type === 'explode'
+        ? phase.duration
+        : estimateDuration(phase));
+    }
+  }
+
+  _startPhase(phase, elapsed) {
+    const u = this._posVar.material.uniforms;
+    const v = this._velVar.material.uniforms;
+
+    switch (phase.type) {
+      case 'lerp':
+        u.uMode.value = SIM_MODES.lerp;
+        u.uLerpSpeed.value = phase.speed;
+        break;
+
+      case 'spring':
+        u.uMode.value = SIM_MODES.spring;
+        v.uStiffness.value = phase.stiffness;
+        v.uDamping.value = phase.damping;
+        break;
+
+      case 'tween':
+        /* Tween from wherever the particles are right now */
+        this._gpgpu.renderTexture(
+          this._gpgpu.getCurrentRenderTarget(this._posVar).texture,
+          this._startTarget,
+        );
+        u.uMode.value = SIM_MODES.tween;
+        u.uTweenStart.value = elapsed;
+        u.uDuration.value = Math.max(phase.duration, 1e-3);
+        u.uEasing.value = EASINGS[phase.easing];
+        u.uStagger.value = phase.stagger;
+        u.uStaggerBy.value = STAGGER_BY[phase.staggerBy];
+        break;
+
+      case 'explode':
+        u.uMode.value = SIM_MODES.drift;
+        v.uKick.value = phase.strength;
+        break;
+    }
+  }
+
+  /** Settle into the idle lerp and report how the transition ended */
+  _endTransition(finished) {
+    const tr = this._transition;
+    if (!tr) return;
+    this._transition = null;
+    this._posVar.material.uniforms.uMode.value = SIM_MODES.lerp;
+    tr.resolve(finished);
   }
 }
@@ -0,0 +1,215 @@
+/**
+ * performance.js
+ * ───────────────
+ * Keeps the experience smooth on weak devices.  PerformanceGovernor
+ * measures frame times and moves between quality tiers (QUALITY_TIERS):
+ * how many particles are drawn, the pixel ratio, the post-processing
+ * quality, and the MediaPipe model / inference rate.  main.js applies the
+ * settings of the current tier whenever it changes.
+ *
+ * It steps down after a couple of seconds below DOWNGRADE_FPS and back up
+ * after a longer stretch above UPGRADE_FPS; every downgrade doubles the
+ * wait before the next upgrade, so a device on the edge settles instead
+ * of flip-flopping.  `?quality=high|medium|low` pins a tier (no
+ * adjustments), `?stats` shows a small overlay with the numbers.
+ */
+
+/**
+ * particles       — share of the particle capacity that is drawn
+ * pixelRatio      — cap on the device pixel ratio
+ * post            — PostProcessing quality (postProcessing.js)
+ * modelComplexity — MediaPipe Hands model (0 = lite, 1 = full)
+ * inferenceRate   — hand-tracking runs per second
+ */
+export const QUALITY_TIERS = {
+  high:   { label: 'alta',  particles: 1,    pixelRatio: 2,   post: 'high',   modelComplexity: 1, inferenceRate: 30 },
+  medium: { label: 'media', particles: 0.6,  pixelRatio: 1.5, post: 'medium', modelComplexity: 1, inferenceRate: 20 },
+  low:    { label: 'baja',  particles: 0.35, pixelRatio: 1,   post: 'low',    modelComplexity: 0, inferenceRate: 12 },
+};
+
+export const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+/** Average frame rate below which the tier steps down */
+const DOWNGRADE_FPS = 45;
+
+/** Average frame rate above which the tier may step up again */
+const UPGRADE_FPS = 57;
+
+/** Seconds of frames per measurement */
+const SAMPLE_WINDOW = 2;
+
+/** Good windows in a row needed before the first upgrade */
+const UPGRADE_WINDOWS = 4;
+
+/** A longer gap between frames means the tab was hidden, not slow */
+const MAX_FRAME_GAP = 0.5;
+
+/** Smoothing of the displayed frame time */
+const FRAME_TIME_SMOOTHING = 0.05;
+
+export class PerformanceGovernor {
+  /**
+   * @param {{tier?: string, auto?: boolean}} [options]
+   *   tier — starting tier (defaults to a guess from the device),
+   *   auto — adjust the tier from measured frame rates
+   */
+  constructor({ tier = guessTier(), auto = true } = {}) {
+    if (!QUALITY_TIERS[tier]) throw new Error(`Unknown quality tier "${tier}"`);
+    this._tier = tier;
+    this.auto = auto;
+
+    /** Called with (settings, tierName) whenever the tier changes */
+    this.onChange = null;
+
+    /** Last measured average frame rate and smoothed frame time (ms) */
+    this.fps = 0;
+    this.frameTime = 0;
+
+    this._lastFrame = null;
+    this._windowStart = null;
+    this._frames = 0;
+    this._goodWindows = 0;
+    this._upgradeWindows = UPGRADE_WINDOWS;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  get tier() {
+    return this._tier;
+  }
+
+  /** Switch tier by name (also works with `auto` off) */
+  set tier(name) {
+    if (!QUALITY_TIERS[name]) throw new Error(`Unknown quality tier "${name}"`);
+    if (name === this._tier) return;
+    this._tier = name;
+    this._windowStart = null;
+    this._goodWindows = 0;
+    this.onChange?.(this.settings, name);
+  }
+
+  /** Settings of the current tier */
+  get settings() {
+    return QUALITY_TIERS[this._tier];
+  }
+
+  /** Call once per rendered frame with the clock's elapsed seconds */
+  frame(elapsed) {
+    const gap = this._lastFrame === null ? 0 : elapsed - this._lastFrame;
+    this._lastFrame = elapsed;
+
+    if (gap > MAX_FRAME_GAP) {
+      this._windowStart = null;
+      return;
+    }
+    if (gap > 0) this.frameTime += (gap * 1000 - this.frameTime) * FRAME_TIME_SMOOTHING;
+
+    if (this._windowStart === null) {
+      this._windowStart = elapsed;
+      this._frames = 0;
+      return;
+    }
+    this._frames++;
+    const seconds = elapsed - this._windowStart;
+    if (seconds < SAMPLE_WINDOW) return;
+
+    this.fps = this._frames / seconds;
+    this._windowStart = null;
+    if (this.auto) this._adjust();
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Tier changes                            */
+  /* ──────────────────────────────────────── */
+
+  _adjust() {
+    const index = TIER_NAMES.indexOf(this._tier);
+
+    if (this.fps < DOWNGRADE_FPS) {
+      if (index < TIER_NAMES.length - 1) {
+        this._upgradeWindows *= 2;
+        this.tier = TIER_NAMES[index + 1];
+      }
+      this._goodWindows = 0;
+      return;
+    }
+
+    this._goodWindows = this.fps > UPGRADE_FPS ? this._goodWindows + 1 : 0;
+    if (this._goodWindows >= this._upgradeWindows && index > 0) {
+      this.tier = TIER_NAMES[index - 1];
+    }
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Stats overlay                                     */
+/* ────────────────────────────────────────────────── */
+
+/** Refreshes per second of the overlay text */
+const OVERLAY_RATE = 2;
+
+/**
+ * Small fixed box with frame rate, frame time, tier, drawn particles and
+ * hand-tracking rate.  Call update() every frame; it redraws a couple of
+ * times per second.
+ */
+export class StatsOverlay {
+  constructor(parent = document.body) {
+    this.el = document.createElement('div');
+    this.el.id = 'stats';
+    parent.appendChild(this.el);
+    this._lastUpdate = -Infinity;
+  }
+
+  /**
+   * @param {number} elapsed  clock seconds
+   * @param {{governor: PerformanceGovernor, particles: number,
+   *          tracking: ?{inferenceRate: number, inferenceTime: number}}} info
+   */
+  update(elapsed, { governor, particles, tracking }) {
+    if (elapsed - this._lastUpdate < 1 / OVERLAY_RATE) return;
+    this._lastUpdate = elapsed;
+
+    const lines = [
+      `${governor.fps.toFixed(0)} fps · ${governor.frameTime.toFixed(1)} ms`,
+      `calidad ${governor.settings.label}${governor.auto ? ' (auto)' : ''}`,
+      `${particles.toLocaleString('es')} estrellas`,
+    ];
+    if (tracking) {
+      lines.push(`manos ${tracking.inferenceRate.toFixed(0)} Hz · ${tracking.inferenceTime.toFixed(0)} ms`);
+    }
+    this.el.textContent = lines.join('\n');
+  }
+
+  dispose() {
+    this.el.remove();
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Helpers                                           */
+/* ────────────────────────────────────────────────── */
+
+/** Start weak devices (phones, few cores / little memory) at 'medium' */
+export function guessTier() {
+  const coarse = matchMedia('(pointer: coarse)').matches;
+  const cores = navigator.hardwareConcurrency || 8;
+  const memory = navigator.deviceMemory || 8;
+  return coarse || cores <= 4 || memory <= 4 ? 'medium' : 'high';
+}
+
+/**
+ * `?quality=` from the URL: a tier name pins it, 'auto' (or nothing)
+ * returns null.
+ */
+export function readQualityOverride(search = location.search) {
+  const value = new URLSearchParams(search).get('quality');
+  if (!value || value === 'auto') return null;
+  if (!QUALITY_TIERS[value]) {
+    console.warn(`Unknown ?quality=${value}, using auto`);
+    return null;
+  }
+  return value;
+}
@@ -0,0 +1,131 @@
+/**
+ * personalization.js
+ * ───────────────────
+ * Lets one deployed build greet anybody: the recipient's name and the
+ * message come from the URL instead of the code.
+ *
+ *   ?name=Ana&msg=Te%20Amo          plain query parameters
+ *   ?font=optimer                   text font (a built-in FONTS key)
+ *   ?s=<token>                      share token (base64url-encoded JSON)
+ *
+ * Scene-config strings (text params, titles, labels, timeline titles,
+ * pageTitle) may contain `{name}` / `{message}` placeholders which are
+ * filled from these values, falling back to the scene's `defaults`.  The
+ * font applies to text formations that don't pick one themselves.
+ */
+import { FONTS } from './textPoints.js';
+
+/** Keys a link can carry, with the query-parameter alias for each */
+const FIELDS = {
+  name:    'name',
+  message: 'msg',
+  font:    'font',
+};
+
+/** Longer strings turn into unreadable particle text */
+const MAX_LENGTH = 40;
+
+/* ────────────────────────────────────────────────── */
+/*  Share token                                       */
+/* ────────────────────────────────────────────────── */
+
+/**
+ * Encode values as a URL-safe token (UTF-8 JSON → base64url).
+ */
+export function encodeShareToken(values) {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a token made by encodeShareToken(). Returns null if it is invalid.
+ */
+export function decodeShareToken(token) {
+  try {
+    const b64 = token.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64);
+    const bytes = Uint8Array.from(bin, (ch) => ch.charCodeAt(0));
+    const values = JSON.parse(new TextDecoder().decode(bytes));
+    return values && typeof values === 'object' ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ────────────────────────────────────────────────── */
+/*  Reading / applying                                */
+/* ────────────────────────────────────────────────── */
+
+function clean(value, key) {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim().slice(0, MAX_LENGTH);
+  if (key === 'font' && !FONTS[trimmed]) return undefined;   // links can't point at arbitrary URLs
+  return trimmed || undefined;
+}
+
+/**
+ * Read personalization values from a query string.
+ * Plain parameters win over the share token when both are present.
+ * @returns {{name?: string, message?: string, font?: string}}
+ */
+export function readPersonalization(search = location.search) {
+  const params = new URLSearchParams(search);
+  const token = params.get('s');
+  const fromToken = token ? decodeShareToken(token) || {} : {};
+
+  const values = {};
+  for (const [key, alias] of Object.entries(FIELDS)) {
+    const v = clean(params.get(alias), key) ?? clean(fromToken[key], key);
+    if (v !== undefined) values[key] = v;
+  }
+  return values;
+}
+
+function fill(template, values) {
+  if (typeof template !== 'string') return template;
+  return template.replace(/\{(\w+)\}/g, (m, key) => values[key] ?? m);
+}
+
+/**
+ * Return a copy of the scene with every `{placeholder}` filled in.
+ */
+export function personalizeScene(scene, values) {
+  const merged = { ...scene.defaults, ...values };
+
+  const formations = scene.formations.map((def) => ({
+    ...def,
+    label: fill(def.label, merged),
+    title: fill(def.title, merged),
+    params: def.generator === 'text'
+      ? { ...def.params, text: fill(def.params.text, merged), font: def.params.font ?? merged.font }
+      : def.params,
+  }));
+
+  const timeline = scene.timeline && {
+    ...scene.timeline,
+    steps: scene.timeline.steps.map((step) => ({ ...step, title: fill(step.title, merged) })),
+  };
+
+  return { ...scene, pageTitle: fill(scene.pageTitle, merged), formations, timeline };
+}
+
+/**
+ * Build a link to this page that carries `values` as a share token.
+ * Other query parameters (e.g. `?scene=`) are kept.
+ */
+export function buildShareLink(values, href = location.href) {
+  const url = new URL(href);
+  for (const alias of Object.values(FIELDS)) url.searchParams.delete(alias);
+
+  const payload = {};
+  for (const key of Object.keys(FIELDS)) {
+    const v = clean(values[key], key);
+    if (v !== undefined) payload[key] = v;
+  }
+
+  url.searchParams.set('s', encodeShareToken(payload));
+  url.hash = '';
+  return url.toString();
+}
@@ -0,0 +1,148 @@
+/**
+ * postProcessing.js
+ * ──────────────────
+ * Optional EffectComposer chain on top of the plain render: unreal bloom,
+ * afterimage trails, and a last "cinematic" pass with chromatic aberration,
+ * vignette and film grain (see shaders.js).  The particle code doesn't know
+ * about any of it — main.js just calls render() instead of
+ * renderer.render().
+ *
+ * Looks come as presets (POST_PRESETS); 'off' renders straight, exactly as
+ * without the composer.  `quality` trades looks for speed: 'high' runs at
+ * the device pixel ratio, 'medium' at 1, 'low' skips the effects
+ * altogether.  The PerformanceGovernor (performance.js) picks it from the
+ * measured frame rate.
+ *
+ * The particle shader writes display values, so the chain stays in that
+ * space: there is no OutputPass converting colours at the end.
+ */
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { cinematicVertexShader, cinematicFragmentShader } from './shaders.js';
+import { guessTier } from './performance.js';
+
+/**
+ * Effect settings per preset; null / 0 turns an effect off.
+ *   bloom      — { strength, radius, threshold } (UnrealBloomPass)
+ *   trails     — afterimage damping, 0–1 (higher = longer trails)
+ *   aberration — colour fringe at the corners, in uv units
+ *   vignette   — 0–1
+ *   grain      — noise amplitude
+ */
+export const POST_PRESETS = {
+  off:       { label: 'Sin efectos', bloom: null, trails: 0, aberration: 0, vignette: 0, grain: 0 },
+  soft:      { label: 'Brillo', bloom: { strength: 0.8, radius: 0.5, threshold: 0.1 }, trails: 0, aberration: 0, vignette: 0.3, grain: 0 },
+  cinematic: { label: 'Cine', bloom: { strength: 1.1, radius: 0.6, threshold: 0.05 }, trails: 0, aberration: 0.006, vignette: 0.6, grain: 0.04 },
+  dreamy:    { label: 'Estelas', bloom: { strength: 0.9, radius: 0.8, threshold: 0.1 }, trails: 0.88, aberration: 0.003, vignette: 0.4, grain: 0.02 },
+};
+
+export const QUALITY_LEVELS = ['high', 'medium', 'low'];
+
+export class PostProcessing {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {{preset?: string, quality?: string}} [options]
+   */
+  constructor(renderer, scene, camera, { preset = 'off', quality = guessTier() } = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+
+    this.composer = new EffectComposer(renderer);
+    this._renderPass = new RenderPass(scene, camera);
+    this._bloomPass = new UnrealBloomPass(new THREE.Vector2(innerWidth, innerHeight), 1, 0.5, 0.1);
+    this._trailsPass = new AfterimagePass();
+    this._cinematicPass = new ShaderPass({
+      uniforms: {
+        tDiffuse:    { value: null },
+        uTime:       { value: 0 },
+        uAberration: { value: 0 },
+        uVignette:   { value: 0 },
+        uGrain:      { value: 0 },
+      },
+      vertexShader: cinematicVertexShader,
+      fragmentShader: cinematicFragmentShader,
+    });
+    for (const pass of [this._renderPass, this._bloomPass, this._trailsPass, this._cinematicPass]) {
+      this.composer.addPass(pass);
+    }
+
+    this._quality = 'high';
+    this.quality = quality;
+    this.preset = preset;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  get preset() {
+    return this._preset;
+  }
+
+  /** Switch to one of POST_PRESETS by name */
+  set preset(name) {
+    const p = POST_PRESETS[name];
+    if (!p) throw new Error(`Unknown post-processing preset "${name}"`);
+    this._preset = name;
+
+    this._bloomPass.enabled = Boolean(p.bloom);
+    if (p.bloom) {
+      this._bloomPass.strength = p.bloom.strength;
+      this._bloomPass.radius = p.bloom.radius;
+      this._bloomPass.threshold = p.bloom.threshold;
+    }
+
+    this._trailsPass.enabled = p.trails > 0;
+    this._trailsPass.uniforms.damp.value = p.trails;
+
+    const u = this._cinematicPass.uniforms;
+    u.uAberration.value = p.aberration;
+    u.uVignette.value = p.vignette;
+    u.uGrain.value = p.grain;
+  }
+
+  get quality() {
+    return this._quality;
+  }
+
+  /** One of QUALITY_LEVELS */
+  set quality(level) {
+    if (!QUALITY_LEVELS.includes(level)) throw new Error(`Unknown quality "${level}"`);
+    this._quality = level;
+    this.composer.setPixelRatio(level === 'high' ? Math.min(devicePixelRatio, 2) : 1);
+  }
+
+  /** Whether frames currently go through the composer */
+  get active() {
+    return this._preset !== 'off' && this._quality !== 'low';
+  }
+
+  /** Render one frame (straight to the screen when no effect is active) */
+  render(elapsed) {
+    if (!this.active) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+    this._cinematicPass.uniforms.uTime.value = elapsed;
+    this.composer.render();
+  }
+
+  setSize(width, height) {
+    this.composer.setPixelRatio(this._quality === 'high' ? Math.min(devicePixelRatio, 2) : 1);
+    this.composer.setSize(width, height);
+  }
+
+  dispose() {
+    this._bloomPass.dispose();
+    this._trailsPass.dispose();
+    this._cinematicPass.dispose();
+    this.composer.dispose();
+  }
+}
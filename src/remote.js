@@ -0,0 +1,181 @@
+/**
+ * remote.js
+ * ──────────
+ * Shared sessions across devices: a phone with a camera becomes the
+ * controller of a big screen (TV, laptop) that draws the particles.  Both
+ * connect to the WebSocket relay in server/relay.js, which pairs them by a
+ * four-character code.
+ *
+ * What travels, as JSON (the relay hands each one over wrapped as
+ * { type: 'relay', msg }, so peers can't fake the relay's own messages):
+ *
+ *   controller → display
+ *     { type: 'hands', hands: [{ fingerPos, gesture, controls }], gesture, handSpread }
+ *         the tracker's state, a few dozen times a second (see handFrame)
+ *     { type: 'motion', gesture }        a motion gesture (swipe, wave, …)
+ *
+ *   display → controllers
+ *     { type: 'formation', id, title }   what is on the big screen now
+ *
+ * The display feeds these into the same paths as its own camera, so a
+ * remote hand picks formations and attracts particles exactly like a
+ * local one.
+ */
+
+/** Close codes sent by the relay (see server/relay.js) */
+const CLOSE_UNKNOWN_SESSION = 4404;
+const CLOSE_SESSION_ENDED = 4410;
+const CLOSE_TOO_MANY_ATTEMPTS = 4429;
+
+/** Messages are dropped while this much is still waiting to be sent */
+const MAX_BUFFERED = 64 * 1024;
+
+/**
+ * WebSocket URL of the relay: `?relay=` if given, otherwise the relay the
+ * dev server mounts next to the page.
+ */
+export function relayUrl(search = location.search) {
+  const custom = new URLSearchParams(search).get('relay');
+  if (custom) return custom;
+  const url = new URL(`${import.meta.env.BASE_URL}relay`, location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+}
+
+/**
+ * The hand tracker's state as a 'hands' message, rounded to keep frames
+ * small.
+ */
+export function handFrame(tracker) {
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return {
+    type: 'hands',
+    hands: tracker.hands.map(({ fingerPos, controls, gesture }) => ({
+      fingerPos: { x: round(fingerPos.x), y: round(fingerPos.y) },
+      gesture,
+      controls: {
+        pinch: round(controls.pinch),
+        roll: round(controls.roll),
+        yaw: round(controls.yaw),
+        size: round(controls.size),
+      },
+    })),
+    gesture: tracker.gesture,
+    handSpread: tracker.handSpread,
+  };
+}
+
+export class RemoteSession {
+  /**
+   * @param {'display'|'controller'} role
+   * @param {string} [url]  relay URL (see relayUrl)
+   */
+  constructor(role, url = relayUrl()) {
+    if (role !== 'display' && role !== 'controller') {
+      throw new Error(`Unknown session role "${role}"`);
+    }
+    this.role = role;
+    this.url = url;
+
+    /** Pairing code (once open) */
+    this.code = null;
+
+    /** Controllers connected to this display */
+    this.controllers = 0;
+
+    /** Called with every message from the other side */
+    this.onMessage = null;
+
+    /** Called after the controller count changes */
+    this.onChange = null;
+
+    /** Called with a Spanish reason when an open session ends */
+    this.onClose = null;
+
+    this._ws = null;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /** Whether the session is open */
+  get connected() {
+    return this.code !== null && this._ws?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Connect to the relay: a display opens a new session, a controller
+   * joins the one with `code`.  Resolves with the code once paired.
+   * @returns {Promise<string>}
+   */
+  open(code) {
+    const url = new URL(this.url);
+    url.searchParams.set('role', this.role);
+    if (this.role === 'controller') url.searchParams.set('code', code.trim().toUpperCase());
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      this._ws = ws;
+
+      ws.onmessage = (e) => {
+        if (this._ws !== ws) return;
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        this._receive(msg, code, resolve);
+      };
+
+      ws.onclose = (e) => {
+        if (this._ws !== ws) return;
+        this._ws = null;
+        const wasOpen = this.code !== null;
+        this.code = null;
+        this.controllers = 0;
+        if (wasOpen) this.onClose?.(closeReason(e.code));
+        else reject(new Error(closeReason(e.code)));
+      };
+    });
+  }
+
+  /** Send a message to the other side (dropped if the link is congested) */
+  send(msg) {
+    if (!this.connected || this._ws.bufferedAmount > MAX_BUFFERED) return;
+    this._ws.send(JSON.stringify(msg));
+  }
+
+  /** Leave the session */
+  close() {
+    const ws = this._ws;
+    this._ws = null;
+    this.code = null;
+    this.controllers = 0;
+    ws?.close();
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Internals                               */
+  /* ──────────────────────────────────────── */
+
+  _receive(msg, code, resolve) {
+    if (msg.type === 'session' || msg.type === 'joined') {
+      this.code = msg.code ?? code.trim().toUpperCase();
+      resolve(this.code);
+    } else if (msg.type === 'controllers') {
+      this.controllers = msg.count;
+      this.onChange?.(this);
+    } else if (msg.type === 'relay' && this.code !== null && msg.msg !== null && typeof msg.msg === 'object') {
+      this.onMessage?.(msg.msg);
+    }
+  }
+}
+
+function closeReason(code) {
+  if (code === CLOSE_UNKNOWN_SESSION) return 'Ese código no existe';
+  if (code === CLOSE_SESSION_ENDED) return 'La pantalla cerró la sesión';
+  if (code === CLOSE_TOO_MANY_ATTEMPTS) return 'Demasiados intentos, espera un minuto';
+  return 'Se perdió la conexión';
+}
@@ -0,0 +1,117 @@
+/**
+ * sampling.js
+ * ────────────
+ * Point-sampling helpers shared by the formation generators: random points
+ * on a triangle mesh (optionally picking up its vertex colours), weighted
+ * picks from a cumulative distribution, and fitting a shape to the
+ * visible area.
+ */
+import * as THREE from 'three';
+
+/**
+ * Random point sampling on a triangulated mesh surface.
+ * Triangles are picked area-weighted via binary search on the CDF, so the
+ * cost is O(triangles + count · log triangles).
+ * Returns Float32Array(count * 3).
+ *
+ * If the geometry has a `color` attribute and `colors` is given
+ * (Float32Array(count * 3)), each point's colour is written there too,
+ * interpolated like its position; likewise texture coordinates into `uvs`
+ * (Float32Array(count * 2)) from a `uv` attribute.
+ */
+export function sampleSurface(geometry, count, { colors = null, uvs = null } = {}) {
+  const pos = geometry.getAttribute('position');
+  const col = colors ? geometry.getAttribute('color') : null;
+  const uv = uvs ? geometry.getAttribute('uv') : null;
+  const idx = geometry.getIndex();
+  const arr = new Float32Array(count * 3);
+
+  // Build triangle list
+  const triCount = idx ? idx.count / 3 : pos.count / 3;
+  const cdf = new Float64Array(triCount);
+  const a = new THREE.Vector3(),
+    b = new THREE.Vector3(),
+    c = new THREE.Vector3();
+  const tri = new THREE.Triangle(a, b, c);
+  let totalArea = 0;
+
+  for (let i = 0; i < triCount; i++) {
+    const i0 = idx ? idx.getX(i * 3) : i * 3;
+    const i1 = idx ? idx.getX(i * 3 + 1) : i * 3 + 1;
+    const i2 = idx ? idx.getX(i * 3 + 2) : i * 3 + 2;
+
+    a.fromBufferAttribute(pos, i0);
+    b.fromBufferAttribute(pos, i1);
+    c.fromBufferAttribute(pos, i2);
+
+    // Running sum → un-normalised CDF
+    totalArea += tri.getArea();
+    cdf[i] = totalArea;
+  }
+
+  for (let s = 0; s < count; s++) {
+    const ti = searchCdf(cdf, Math.random() * totalArea);
+
+    const i0 = idx ? idx.getX(ti * 3) : ti * 3;
+    const i1 = idx ? idx.getX(ti * 3 + 1) : ti * 3 + 1;
+    const i2 = idx ? idx.getX(ti * 3 + 2) : ti * 3 + 2;
+
+    a.fromBufferAttribute(pos, i0);
+    b.fromBufferAttribute(pos, i1);
+    c.fromBufferAttribute(pos, i2);
+
+    // Random barycentric coords
+    let u = Math.random(),
+      v = Math.random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const w = 1 - u - v;
+
+    arr[s * 3]     = a.x * w + b.x * u + c.x * v;
+    arr[s * 3 + 1] = a.y * w + b.y * u + c.y * v;
+    arr[s * 3 + 2] = a.z * w + b.z * u + c.z * v;
+
+    if (col) {
+      a.fromBufferAttribute(col, i0);
+      b.fromBufferAttribute(col, i1);
+      c.fromBufferAttribute(col, i2);
+      colors[s * 3]     = a.x * w + b.x * u + c.x * v;
+      colors[s * 3 + 1] = a.y * w + b.y * u + c.y * v;
+      colors[s * 3 + 2] = a.z * w + b.z * u + c.z * v;
+    }
+    if (uv) {
+      uvs[s * 2]     = uv.getX(i0) * w + uv.getX(i1) * u + uv.getX(i2) * v;
+      uvs[s * 2 + 1] = uv.getY(i0) * w + uv.getY(i1) * u + uv.getY(i2) * v;
+    }
+  }
+  return arr;
+}
+
+/**
+ * Index of the first CDF entry ≥ r (binary search).
+ */
+export function searchCdf(cdf, r) {
+  let lo = 0;
+  let hi = cdf.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (cdf[mid] < r) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Factor (≤ 1) that shrinks a `width` × `height` shape until it covers at
+ * most the given share of the viewport.  1 when the viewport is unknown.
+ */
+export function fitScale(width, height, viewport, share = { width: 0.85, height: 0.5 }) {
+  if (!viewport) return 1;
+  return Math.min(
+    1,
+    (viewport.width * share.width) / width,
+    (viewport.height * share.height) / height,
+  );
+}
@@ -0,0 +1,355 @@
+/**
+ * sceneConfig.js
+ * ───────────────
+ * Declarative description of the experience: which formations exist, how
+ * each one is generated, how it is presented and which gesture triggers it.
+ *
+ * main.js builds the formation data, the gesture → formation map and the
+ * `#gesture-guide` UI from this object, so a new person / message only
+ * needs a new config — not a fork of the code.
+ *
+ * Formation fields:
+ *   id        — unique key (string)
+ *   generator — 'text' | 'sphere' | 'heart' | 'planet' | 'compact' |
+ *               'image' | 'svg' | 'model' | 'custom'
+ *   params    — generator parameters (see textPoints.js); text takes
+ *               { text, font, size, depth, align, lineHeight, fit }, image
+ *               { src, mode, invert, threshold, width, depth } and svg
+ *               { src, mode, width, depth } (see imagePoints.js), model
+ *               { src, format, colors, size, rotation } (see modelPoints.js)
+ *   generate  — (count, params, context) => Float32Array or
+ *               { positions, colors }, only for 'custom'
+ *   gesture   — GESTURES key (or array of keys) that activates it (optional);
+ *               normalised to a `gestures` array
+ *   emoji     — shown next to the title / in menus
+ *   label     — short name for the gesture guide
+ *   title     — heading shown while the formation is active
+ *   motion    — 'sway' (default) | 'spin'
+ *   assignment — particle ↔ point pairing: 'index' | 'spatial' | 'transport'
+ *               (optional, defaults to ParticleSystem.assignment)
+ *   transition — how particles fly in: type name or spec, see transitions.js
+ *               (optional, defaults to ParticleSystem.transition)
+ *   colorScheme — how particles are coloured: 'palette', a gradient, a
+ *               radial gradient or the generator's 'points', see colors.js
+ *               (optional, defaults to ParticleSystem.colorScheme)
+ *   camera    — where the camera flies when the formation appears:
+ *               { x, y, z, target? }, see cameraRig.js (optional, defaults
+ *               to straight in front)
+ *   ambient   — idle motion once formed: 'drift' | 'orbit' | 'heartbeat' |
+ *               'shimmer' | 'none', or a spec, see ambient.js
+ *               (optional, defaults to ParticleSystem.ambient)
+ *
+ * Scene fields:
+ *   initial   — id of the formation shown first
+ *   pageTitle — document <title>
+ *   defaults  — values for `{name}` / `{message}` placeholders, which may
+ *               appear in text params, labels, titles and pageTitle and are
+ *               overridden from the URL (see personalization.js)
+ *   motionBindings — MOTION_GESTURES key → action: 'next' | 'prev' |
+ *               'burst' | a formation id (see motionGestures.js)
+ *   timeline  — scripted presentation: { autoplay, loop, steps } with one
+ *               { formation, duration, title, transition, camera } per step
+ *               (optional, see timeline.js)
+ *   fields    — force fields always acting on the particles, e.g. a gentle
+ *               { type: 'turbulence' } (optional, see forces.js)
+ *   fieldBindings — GESTURES key → field spec for the hand showing that
+ *               pose: fields with a `duration` (shockwaves) go off once
+ *               where the pose appears, the others replace the fingertip's
+ *               pull while the pose is held
+ *
+ * A JSON file with the same shape can be loaded with `?scene=<url>`.
+ */
+import { GESTURES } from './handTracking.js';
+import { FORMATION_GENERATORS, TEXT_ALIGNS } from './textPoints.js';
+import { IMAGE_MODES, SVG_MODES } from './imagePoints.js';
+import { MODEL_FORMATS, MODEL_COLOR_MODES } from './modelPoints.js';
+import { ASSIGNMENT_MODES } from './assignment.js';
+import { normalizeTransition } from './transitions.js';
+import { normalizeColorScheme } from './colors.js';
+import { normalizeTimeline } from './timeline.js';
+import { normalizeField } from './forces.js';
+import { normalizeAmbient } from './ambient.js';
+import { normalizeCameraPose } from './cameraRig.js';
+import { MOTION_GESTURES } from './motionGestures.js';
+
+/** Actions a motion gesture can trigger besides "show formation <id>" */
+export const MOTION_ACTIONS = ['next', 'prev', 'burst'];
+
+export const DEFAULT_SCENE = {
+  initial: 'COSMOS',
+  pageTitle: '💕 {name} Cosmos',
+  defaults: {
+    name: 'Carolina',
+    message: 'Te Quiero',
+  },
+  motionBindings: {
+    [MOTION_GESTURES.SWIPE_LEFT]:  'prev',
+    [MOTION_GESTURES.SWIPE_RIGHT]: 'next',
+    [MOTION_GESTURES.CIRCLE]:      'HEART',
+    [MOTION_GESTURES.WAVE]:        'burst',
+    [MOTION_GESTURES.THROW]:       'burst',
+  },
+  fieldBindings: {
+    [GESTURES.FIST]: { type: 'vortex', strength: 0.1, pull: 0.8, radius: 8 },   // suck in
+    [GESTURES.OPEN]: { type: 'shockwave', strength: 0.6, radius: 14 },           // blast out
+  },
+  timeline: {
+    loop: true,
+    steps: [
+      { formation: 'COSMOS', duration: 4, title: '✨ Mira las estrellas… ✨' },
+      { formation: 'COMPACT', duration: 3, title: '💫 Se están juntando… 💫' },
+      { formation: 'NAME', duration: 6, camera: { z: 16 } },
+      { formation: 'HEART', duration: 6 },
+      { formation: 'MESSAGE', duration: 6, camera: { y: 2, z: 17 } },
+      { formation: 'PLANET', duration: 8 },
+    ],
+  },
+  formations: [
+    {
+      id: 'PLANET',
+      generator: 'planet',
+      gesture: GESTURES.INDEX_UP,
+      emoji: '🪐',
+      label: 'Planeta',
+      title: '✨ Un planeta para ti ✨',
+      motion: 'spin',
+      camera: { y: 6, z: 20 },
+      ambient: 'orbit',
+      colorScheme: {
+        type: 'radial',
+        colors: ['#ffb6c1', '#ff69b4', '#ffd700', '#ffa500'],
+        stops: [0, 0.5, 0.7, 1],
+      },
+      transition: {
+        type: 'explode',
+        reform: { type: 'tween', easing: 'easeOutCubic', stagger: 0.6, staggerBy: 'radial' },
+      },
+    },
+    {
+      id: 'NAME',
+      generator: 'text',
+      params: { text: '{name}' },
+      gesture: GESTURES.PEACE,
+      emoji: '💕',
+      label: '{name}',
+      title: '💖 {name} 💖',
+      ambient: 'shimmer',
+      transition: { type: 'tween', duration: 1.6, stagger: 0.8 },
+    },
+    {
+      id: 'MESSAGE',
+      generator: 'text',
+      params: { text: '{message}' },
+      gesture: GESTURES.ROCK,
+      emoji: '🤘',
+      label: '{message}',
+      title: '💜 {message} 💜',
+      ambient: 'shimmer',
+      transition: { type: 'tween', duration: 1.6, stagger: 0.8, staggerBy: 'radial' },
+    },
+    {
+      id: 'HEART',
+      generator: 'heart',
+      params: { scale: 0.7 },
+      gesture: [GESTURES.ILY, GESTURES.HEART_HANDS],
+      emoji: '❤️',
+      label: 'Corazón',
+      title: '❤️ {message} ❤️',
+      transition: 'spring',
+      ambient: 'heartbeat',
+      colorScheme: { type: 'gradient', axis: 'y', colors: ['#b0002a', '#ff1744', '#ff6f91'] },
+    },
+    {
+      id: 'COSMOS',
+      generator: 'sphere',
+      params: { radius: 12 },
+      gesture: GESTURES.OPEN,
+      emoji: '🌌',
+      label: 'Cosmos',
+      title: '✨ Las estrellas son tuyas ✨',
+      ambient: 'drift',
+    },
+    {
+      id: 'COMPACT',
+      generator: 'compact',
+      params: { radius: 1.2 },
+      gesture: GESTURES.FIST,
+      emoji: '✊',
+      label: 'Concentrar',
+      title: '💫 Todo para ti 💫',
+      camera: { z: 12 },
+      transition: { type: 'tween', duration: 1.2, easing: 'easeOutBack' },
+    },
+  ],
+};
+
+/**
+ * Validate a scene object and fill in defaults.
+ * Throws on anything that would break the experience later on.
+ */
+export function normalizeScene(scene) {
+  if (!scene || !Array.isArray(scene.formations) || scene.formations.length === 0) {
+    throw new Error('Scene config needs a non-empty "formations" array');
+  }
+
+  const seenIds = new Set();
+  const seenGestures = new Set();
+
+  const formations = scene.formations.map((def) => {
+    if (!def.id) throw new Error('Every formation needs an "id"');
+    if (seenIds.has(def.id)) throw new Error(`Duplicate formation id "${def.id}"`);
+    seenIds.add(def.id);
+
+    if (def.generator === 'custom') {
+      if (typeof def.generate !== 'function') {
+        throw new Error(`Formation "${def.id}": custom generator needs a generate() function`);
+      }
+    } else if (!FORMATION_GENERATORS[def.generator]) {
+      throw new Error(`Formation "${def.id}": unknown generator "${def.generator}"`);
+    }
+
+    if (def.generator === 'text' && def.params?.align && !TEXT_ALIGNS.includes(def.params.align)) {
+      throw new Error(`Formation "${def.id}": unknown text align "${def.params.align}"`);
+    }
+    if (def.generator === 'image' || def.generator === 'svg') {
+      if (!def.params?.src) throw new Error(`Formation "${def.id}": ${def.generator} needs params.src`);
+      const modes = def.generator === 'image' ? IMAGE_MODES : SVG_MODES;
+      if (def.params.mode && !modes.includes(def.params.mode)) {
+        throw new Error(`Formation "${def.id}": unknown ${def.generator} mode "${def.params.mode}"`);
+      }
+    }
+    if (def.generator === 'model') {
+      if (!def.params?.src) throw new Error(`Formation "${def.id}": model needs params.src`);
+      if (def.params.format && !MODEL_FORMATS.includes(def.params.format)) {
+        throw new Error(`Formation "${def.id}": unknown model format "${def.params.format}"`);
+      }
+      if (def.params.colors && !MODEL_COLOR_MODES.includes(def.params.colors)) {
+        throw new Error(`Formation "${def.id}": unknown model colors "${def.params.colors}"`);
+      }
+    }
+
+    const gestures = [].concat(def.gesture || []);
+    for (const gesture of gestures) {
+      if (!GESTURES[gesture]) {
+        throw new Error(`Formation "${def.id}": unknown gesture "${gesture}"`);
+      }
+      if (seenGestures.has(gesture)) {
+        throw new Error(`Gesture "${gesture}" is bound to more than one formation`);
+      }
+      seenGestures.add(gesture);
+    }
+
+    if (def.assignment && !ASSIGNMENT_MODES.includes(def.assignment)) {
+      throw new Error(`Formation "${def.id}": unknown assignment "${def.assignment}"`);
+    }
+
+    let transition;
+    if (def.transition) {
+      try {
+        transition = normalizeTransition(def.transition);
+      } catch (err) {
+        throw new Error(`Formation "${def.id}": ${err.message}`);
+      }
+    }
+
+    let colorScheme;
+    if (def.colorScheme) {
+      try {
+        colorScheme = normalizeColorScheme(def.colorScheme);
+      } catch (err) {
+        throw new Error(`Formation "${def.id}": ${err.message}`);
+      }
+    }
+
+    let ambient;
+    if (def.ambient) {
+      try {
+        ambient = normalizeAmbient(def.ambient);
+      } catch (err) {
+        throw new Error(`Formation "${def.id}": ${err.message}`);
+      }
+    }
+
+    let camera;
+    if (def.camera) {
+      try {
+        camera = normalizeCameraPose(def.camera);
+      } catch (err) {
+        throw new Error(`Formation "${def.id}": ${err.message}`);
+      }
+    }
+
+    return {
+      params: {},
+      emoji: '',
+      label: def.id,
+      title: def.label || def.id,
+      motion: 'sway',
+      ...def,
+      gestures,
+      transition,
+      colorScheme,
+      ambient,
+      camera,
+    };
+  });
+
+  const motionBindings = { ...scene.motionBindings };
+  for (const [motion, action] of Object.entries(motionBindings)) {
+    if (!MOTION_GESTURES[motion]) throw new Error(`Unknown motion gesture "${motion}"`);
+    if (!MOTION_ACTIONS.includes(action) && !seenIds.has(action)) {
+      throw new Error(`Motion gesture "${motion}": unknown action "${action}"`);
+    }
+  }
+
+  const fields = (scene.fields || []).map((spec, i) => {
+    try {
+      return normalizeField(spec);
+    } catch (err) {
+      throw new Error(`Scene field ${i + 1}: ${err.message}`);
+    }
+  });
+
+  const fieldBindings = {};
+  for (const [gesture, spec] of Object.entries(scene.fieldBindings || {})) {
+    if (!GESTURES[gesture]) throw new Error(`Field binding: unknown gesture "${gesture}"`);
+    try {
+      fieldBindings[gesture] = normalizeField(spec);
+    } catch (err) {
+      throw new Error(`Field binding "${gesture}": ${err.message}`);
+    }
+  }
+
+  const initial = seenIds.has(scene.initial) ? scene.initial : formations[0].id;
+  const timeline = scene.timeline ? normalizeTimeline(scene.timeline, seenIds) : null;
+  return {
+    pageTitle: document.title,
+    ...scene,
+    defaults: { ...scene.defaults },
+    motionBindings,
+    fields,
+    fieldBindings,
+    initial,
+    formations,
+    timeline,
+  };
+}
+
+/**
+ * Resolve the scene for this page load: `?scene=<url>` points to a JSON
+ * file with the same shape as DEFAULT_SCENE, otherwise the default is used.
+ * Falls back to the default (with a console warning) if the file is bad.
+ */
+export async function loadSceneConfig(search = location.search) {
+  const url = new URLSearchParams(search).get('scene');
+  if (!url) return normalizeScene(DEFAULT_SCENE);
+
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return normalizeScene(await res.json());
+  } catch (err) {
+    console.warn(`Could not load scene "${url}", using default`, err);
+    return normalizeScene(DEFAULT_SCENE);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * serviceWorker.js
+ * ─────────────────
+ * Offline support.  Not imported by the app: the `selfHostedAssets` plugin
+ * in vite.config.js prepends the build's file list and emits this as
+ * `sw.js`, so it runs with two extra constants in scope:
+ *
+ *   PRECACHE  — every file of the build, relative to the worker's scope
+ *   VERSION   — hash of that list; a new build gets a fresh cache
+ *
+ * Strategy:
+ *   • build files      — cache first (they're content-hashed or versioned)
+ *   • page navigations — network first, falling back to the cached index.html
+ *   • anything else    — network first, keeping a copy for next time
+ *                        (Google Fonts, `?scene=` JSON, an external asset base)
+ */
+
+/* global PRECACHE, VERSION */
+
+const CACHE = `caro-cosmos-${VERSION}`;
+const RUNTIME_CACHE = 'caro-cosmos-runtime';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE.map((path) => new URL(path, self.registration.scope))))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key !== CACHE && key !== RUNTIME_CACHE)
+          .map((key) => caches.delete(key)),
+      ))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches.match(new URL('index.html', self.registration.scope), { cacheName: CACHE })),
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE }).then((cached) => cached || networkFirst(request)),
+  );
+});
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName: RUNTIME_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
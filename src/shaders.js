@@ -3,13 +3,256 @@
  * ----------
  * Custom vertex & fragment shaders for glowing star particles.
  * Each star has individual colour hue offsets and animated twinkle.
+ *
+ * The particle simulation runs on the GPU (GPUComputationRenderer ping-pong):
+ * `simVelocityShader` and `simPositionShader` advance every particle one
+ * frame and write to float textures; the star vertex shader then samples
+ * the position texture via `aReference`.
  */
 
+/* ────────────────────────────────────────────────── */
+/*  Simulation (compute pass)                         */
+/* ────────────────────────────────────────────────── */
+
+/*
+ * Uniforms and helpers shared by both compute passes.  Modes and easings
+ * are numbered as in transitions.js (SIM_MODES / EASINGS / STAGGER_BY),
+ * ambient modes as in ambient.js (AMBIENT_MODES).
+ */
+const simCommon = /* glsl */ `
+  uniform sampler2D uTarget;
+  uniform sampler2D uParticleData;   // r = per-particle random (same as aRandom)
+  uniform float uHasTarget;
+  uniform int   uMode;
+  uniform float uTime;
+
+  /*  Ambient motion (see ambient.js packAmbient):
+      uAmbient  xyz = the mode's parameters
+      uAmbientStart  when the formation was set (orbits start from rest)  */
+  uniform int   uAmbientMode;
+  uniform vec4  uAmbient;
+  uniform float uAmbientStart;
+
+  /*  Cheap curl noise: the curl of the sine potential
+        psi = (sin(v.z) + sin(u.y), sin(u.z) + sin(v.x), sin(u.x) + sin(v.y))
+      with u = p + (0, 1.7, 4.1) and v = 1.9 p + (2.3, 5.2, 0.6).  Every
+      term of psi varies along one axis only, so its partial derivatives
+      are the cosines below; being a curl, the swirl has no sources or
+      sinks  */
+  vec3 curlNoise(vec3 p) {
+    vec3 du = cos(p + vec3(0.0, 1.7, 4.1));               // d sin(u) / dp, per axis
+    vec3 dv = 1.9 * cos(1.9 * p + vec3(2.3, 5.2, 0.6));   // d sin(v) / dp, per axis
+    /* (dpsi.z/dy - dpsi.y/dz, dpsi.x/dz - dpsi.z/dx, dpsi.y/dx - dpsi.x/dy) */
+    return vec3(dv.y - du.z, dv.z - du.x, dv.x - du.y) * 0.35;
+  }
+
+  /*  Where the particle should be right now: its target, kept moving  */
+  vec3 ambientTarget(vec3 target, float rnd) {
+    float t = uTime - uAmbientStart;
+
+    if (uAmbientMode == 1) {
+      /*  Drift: wander on slow currents  */
+      return target + curlNoise(target * uAmbient.y + t * uAmbient.z) * uAmbient.x;
+    }
+    if (uAmbientMode == 2) {
+      /*  Orbit: the ring turns around y, inner particles faster (Kepler)  */
+      float r = length(target.xz);
+      if (r < uAmbient.y) return target;
+      float angle = t * uAmbient.x * pow(uAmbient.z / r, 1.5);
+      float c = cos(angle);
+      float s = sin(angle);
+      return vec3(c * target.x - s * target.z, target.y, s * target.x + c * target.z);
+    }
+    if (uAmbientMode == 3) {
+      /*  Heartbeat: "lub" then a softer "dub", uAmbient.y beats a second  */
+      float phase = fract(t * uAmbient.y);
+      float lub = (phase - 0.1) / 0.05;
+      float dub = (phase - 0.3) / 0.06;
+      return target * (1.0 + uAmbient.x * (exp(-lub * lub) + 0.6 * exp(-dub * dub)));
+    }
+    if (uAmbientMode == 4) {
+      /*  Shimmer: per-particle quiver plus a wave travelling along x  */
+      vec3 quiver = sin(t * uAmbient.y * (0.8 + 0.4 * rnd) + rnd * vec3(6.283, 12.57, 18.85));
+      float wave = sin(target.x * 0.8 - t * uAmbient.y * 0.5) * uAmbient.z;
+      return target + quiver * uAmbient.x + vec3(0.0, 0.0, wave);
+    }
+    return target;
+  }
+`;
+
+/*
+ * textureVelocity (xyz = velocity) — only used by the spring and drift
+ * (explode) modes; zero otherwise.  `uKick` is non-zero for exactly one
+ * frame to blast particles outward.
+ */
+export const simVelocityShader = /* glsl */ `
+  ${simCommon}
+  uniform float uStiffness;
+  uniform float uDamping;
+  uniform float uDrag;
+  uniform float uKick;
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 pos = texture2D(texturePosition, uv).xyz;
+    vec3 vel = texture2D(textureVelocity, uv).xyz;
+    float rnd = texture2D(uParticleData, uv).r;
+
+    if (uMode == 1 && uHasTarget > 0.5) {
+      /*  Spring-damper toward target  */
+      vec3 target = ambientTarget(texture2D(uTarget, uv).xyz, rnd);
+      vel = (vel + (target - pos) * uStiffness) * (1.0 - uDamping);
+    } else if (uMode == 3) {
+      /*  Free flight, slowing down  */
+      vel *= 1.0 - uDrag;
+    } else {
+      vel = vec3(0.0);
+    }
+
+    if (uKick > 0.0) {
+      /*  Outward blast, jittered so the shell isn't perfectly round  */
+      vec3 jitter = vec3(rnd, fract(rnd * 7.13), fract(rnd * 13.7)) - 0.5;
+      vel += normalize(pos + jitter) * uKick * (0.5 + rnd);
+    }
+
+    gl_FragColor = vec4(vel, 1.0);
+  }
+`;
+
+/*
+ * texturePosition (xyz = position) ← transition motion + force fields.
+ * MAX_FIELDS is provided as a material define; field types and falloffs
+ * are numbered as in forces.js (FIELD_TYPES / FALLOFFS).
+ * `resolution` and the `texturePosition` / `textureVelocity` samplers are
+ * injected by GPUComputationRenderer.
+ */
+export const simPositionShader = /* glsl */ `
+  ${simCommon}
+  uniform float uLerpSpeed;
+
+  /*  Tween  */
+  uniform sampler2D uStart;
+  uniform float uTweenStart;
+  uniform float uDuration;
+  uniform int   uEasing;
+  uniform float uStagger;
+  uniform int   uStaggerBy;
+  uniform float uStaggerRadius;
+
+  /*  Force fields (see forces.js packField):
+      uFields      xyz = position, w = strength
+      uFieldShapes x = radius, y = falloff, z = type, w = pull / scale / thickness
+      uFieldDirs   xyz = axis / direction, w = drift phase / ring radius  */
+  uniform vec4 uFields[MAX_FIELDS];
+  uniform vec4 uFieldShapes[MAX_FIELDS];
+  uniform vec4 uFieldDirs[MAX_FIELDS];
+  uniform int  uFieldCount;
+
+  float ease(float t) {
+    if (uEasing == 1) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+    if (uEasing == 2) return 1.0 - pow(1.0 - t, 3.0);
+    if (uEasing == 3) {
+      float c1 = 1.70158;
+      float c3 = c1 + 1.0;
+      return 1.0 + c3 * pow(t - 1.0, 3.0) + c1 * pow(t - 1.0, 2.0);
+    }
+    if (uEasing == 4) return -(cos(3.14159265 * t) - 1.0) / 2.0;
+    if (uEasing == 5) {
+      if (t <= 0.0 || t >= 1.0) return t;
+      return pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * 2.0943951) + 1.0;
+    }
+    return t;
+  }
+
+  /*  Strength left at x = distance / radius (0…1)  */
+  float falloff(int curve, float x) {
+    if (curve == 1) return 1.0 - x;
+    if (curve == 2) return 1.0 - x * x * (3.0 - 2.0 * x);
+    if (curve == 3) return (1.0 / (1.0 + 8.0 * x * x) - 1.0 / 9.0) * 1.125;
+    return 1.0;
+  }
+
+  /*  Displacement this frame from one field  */
+  vec3 fieldForce(vec4 field, vec4 shape, vec4 dir, vec3 pos) {
+    int type   = int(shape.z + 0.5);
+    int curve  = int(shape.y + 0.5);
+    vec3 d     = field.xyz - pos;
+    float dist = length(d);
+
+    if (type == 5) {
+      /*  Shockwave: shove outward whatever the ring is passing  */
+      float band = abs(dist - dir.w) / shape.w;
+      if (band >= 1.0 || dist < 0.01) return vec3(0.0);
+      float k = field.w * (1.0 - band) * falloff(curve, clamp(dir.w / shape.x, 0.0, 1.0));
+      return -d / dist * k;
+    }
+
+    if (dist >= shape.x) return vec3(0.0);
+    float k = field.w * falloff(curve, dist / shape.x);
+
+    if (type == 2) {
+      /*  Vortex: tangent around the axis, plus an optional pull inward  */
+      vec3 radial = -d - dir.xyz * dot(-d, dir.xyz);
+      float r = length(radial);
+      if (r < 0.01) return vec3(0.0);
+      return (cross(dir.xyz, radial / r) - radial / r * shape.w) * k;
+    }
+    if (type == 3) return curlNoise(pos * shape.w + dir.w) * k;
+    if (type == 4) return dir.xyz * k;
+    if (dist < 0.01) return vec3(0.0);
+    return (type == 1 ? -d : d) / dist * k;
+  }
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 pos = texture2D(texturePosition, uv).xyz;
+
+    /*  1) Transition toward target formation (plus its ambient motion)  */
+    if (uHasTarget > 0.5) {
+      vec3 home = texture2D(uTarget, uv).xyz;
+      float rnd = texture2D(uParticleData, uv).r;
+      vec3 target = ambientTarget(home, rnd);
+
+      if (uMode == 0) {
+        pos += (target - pos) * uLerpSpeed;
+      } else if (uMode == 2) {
+        vec3 start = texture2D(uStart, uv).xyz;
+        float order = uStaggerBy == 1
+          ? clamp(length(home) / uStaggerRadius, 0.0, 1.0)
+          : rnd;
+        float t = clamp((uTime - uTweenStart - order * uStagger) / uDuration, 0.0, 1.0);
+        pos = mix(start, target, ease(t));
+      } else {
+        pos += texture2D(textureVelocity, uv).xyz;
+      }
+    }
+
+    /*  2) Force fields (fingers, mouse, gestures, scene…)  */
+    for (int i = 0; i < MAX_FIELDS; i++) {
+      if (i >= uFieldCount) break;
+      pos += fieldForce(uFields[i], uFieldShapes[i], uFieldDirs[i], pos);
+    }
+
+    gl_FragColor = vec4(pos, 1.0);
+  }
+`;
+
+/* ────────────────────────────────────────────────── */
+/*  Rendering                                         */
+/* ────────────────────────────────────────────────── */
+
 export const starVertexShader = /* glsl */ `
   uniform float uTime;
   uniform float uPixelRatio;
   uniform float uSize;
+  uniform float uTwinkle;     // twinkle amplitude (audio raises it)
+  uniform float uExpansion;   // outward push of the cloud (audio beats)
+  uniform sampler2D uPositions;
+  uniform sampler2D uColorFrom;
+  uniform sampler2D uColorTo;
+  uniform float uColorBlend;
 
+  attribute vec2  aReference;
   attribute float aScale;
   attribute float aRandom;
   attribute vec3  aColor;
@@ -18,19 +261,26 @@ export const starVertexShader = /* glsl */ `
   varying float vAlpha;
 
   void main() {
-    vec4 modelPos  = modelMatrix  * vec4(position, 1.0);
+    vec3 simPos    = texture2D(uPositions, aReference).xyz;
+    simPos *= 1.0 + uExpansion * (0.6 + 0.8 * aRandom);
+    vec4 modelPos  = modelMatrix  * vec4(simPos, 1.0);
     vec4 viewPos   = viewMatrix   * modelPos;
     vec4 projected = projectionMatrix * viewPos;
     gl_Position = projected;
 
     /*  Twinkle — each particle has its own flicker phase  */
-    float twinkle = sin(uTime * (1.5 + aRandom * 3.0) + aRandom * 6.283) * 0.35 + 0.65;
+    float twinkle = sin(uTime * (1.5 + aRandom * 3.0) + aRandom * 6.283) * uTwinkle + (1.0 - uTwinkle);
 
     /*  Size attenuation (further = smaller)  */
     gl_PointSize = uSize * aScale * twinkle * uPixelRatio;
     gl_PointSize *= (1.0 / -viewPos.z);
 
-    vColor = aColor;
+    /*  Formation colours (alpha = weight over the palette colour), faded  */
+    vec4 fromColor = texture2D(uColorFrom, aReference);
+    vec4 toColor   = texture2D(uColorTo, aReference);
+    vColor = mix(mix(aColor, fromColor.rgb, fromColor.a),
+                 mix(aColor, toColor.rgb, toColor.a),
+                 uColorBlend);
     vAlpha = twinkle;
   }
 `;
@@ -55,3 +305,54 @@ export const starFragmentShader = /* glsl */ `
     gl_FragColor = vec4(vColor * brightness, vAlpha * brightness);
   }
 `;
+
+/* ────────────────────────────────────────────────── */
+/*  Post-processing                                   */
+/* ────────────────────────────────────────────────── */
+
+export const cinematicVertexShader = /* glsl */ `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+/*
+ * Last pass of the post-processing chain (see postProcessing.js):
+ * chromatic aberration growing towards the edges, vignette and film
+ * grain.  Each effect is off at 0.
+ */
+export const cinematicFragmentShader = /* glsl */ `
+  uniform sampler2D tDiffuse;
+  uniform float uTime;
+  uniform float uAberration;   // max channel offset at the corners (uv units)
+  uniform float uVignette;     // 0 = none, 1 = black corners
+  uniform float uGrain;        // grain amplitude
+
+  varying vec2 vUv;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  void main() {
+    vec2 fromCentre = vUv - 0.5;
+    vec2 shift = fromCentre * dot(fromCentre, fromCentre) * 4.0 * uAberration;
+
+    vec4 base = texture2D(tDiffuse, vUv);
+    vec3 color = vec3(
+      texture2D(tDiffuse, vUv + shift).r,
+      base.g,
+      texture2D(tDiffuse, vUv - shift).b
+    );
+
+    float edge = smoothstep(0.8, 0.2, length(fromCentre) * 1.2);
+    color *= mix(1.0, edge, uVignette);
+
+    color += (hash(vUv * 1000.0 + fract(uTime) * 100.0) - 0.5) * uGrain;
+
+    gl_FragColor = vec4(color, base.a);
+  }
+`;
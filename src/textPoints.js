@@ -1,38 +1,136 @@
 /**
  * textPoints.js
  * ─────────────
- * Uses Three.js FontLoader + TextGeometry to convert a string into a cloud
- * of 3D points.  Also generates a "sphere / chaos" formation for the idle
- * state and a heart shape.
+ * Turns a string into a cloud of 3D points by extruding its glyphs and
+ * sampling the surface.  Also generates a "sphere / chaos" formation for
+ * the idle state and a heart shape.
+ *
+ * Text supports:
+ *   • any font in FONTS, a typeface JSON URL or a TTF / OTF / WOFF URL
+ *     (converted to typeface format in the browser with TTFLoader)
+ *   • several lines ("\n") aligned left, center or right
+ *   • shrinking to fit the visible area when the formation is generated
+ *     for a known viewport
+ *   • per-character fallback: glyphs the chosen font lacks (¡ ñ á …) come
+ *     from FALLBACK_FONTS, or from the unaccented letter as a last resort
+ *
+ * `generateFormation()` dispatches a scene-config formation definition
+ * (see sceneConfig.js) to the matching generator, including the image / SVG
+ * ones from imagePoints.js and the 3D model one from modelPoints.js.
  */
 import * as THREE from 'three';
-import { FontLoader } from 'three/addons/loaders/FontLoader.js';
-import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { Font } from 'three/addons/loaders/FontLoader.js';
+import { TTFLoader } from 'three/addons/loaders/TTFLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { assetUrl } from './assets.js';
+import { sampleSurface, fitScale } from './sampling.js';
+import {
+  loadImage,
+  loadSvg,
+  loadedImage,
+  loadedSvg,
+  getImagePositions,
+  getSvgPositions,
+} from './imagePoints.js';
+import { loadModel, loadedModel, getModelPositions } from './modelPoints.js';
 
-/* ─── CDN font (helvetiker — always available) ─── */
-const FONT_URL =
-  'https://cdn.jsdelivr.net/npm/three@0.169.0/examples/fonts/helvetiker_bold.typeface.json';
+/* ────────────────────────────────────────────────── */
+/*  Fonts                                             */
+/* ────────────────────────────────────────────────── */
+
+/** Built-in fonts (self-hosted copies of three/examples/fonts) */
+export const FONTS = {
+  helvetiker:    'fonts/helvetiker_bold.typeface.json',
+  optimer:       'fonts/optimer_bold.typeface.json',
+  gentilis:      'fonts/gentilis_bold.typeface.json',
+  'droid-sans':  'fonts/droid/droid_sans_bold.typeface.json',
+  'droid-serif': 'fonts/droid/droid_serif_bold.typeface.json',
+};
+
+export const DEFAULT_FONT = 'helvetiker';
 
-let _font = null;
+/** Tried in order for characters the chosen font lacks; covers Latin-1 */
+const FALLBACK_FONTS = ['droid-sans'];
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+/** source → Font, for fonts that finished loading */
+const _fonts = new Map();
+
+/** source → Promise<Font>, for fonts still loading */
+const _loading = new Map();
 
 /**
- * Load the font once and cache it.
+ * Load a font once and cache it.  `source` is a FONTS key or a URL.
+ * A failed load isn't cached, so a later call retries.
  * @returns {Promise<Font>}
  */
-export function loadFont() {
-  if (_font) return Promise.resolve(_font);
-
-  return new Promise((resolve, reject) => {
-    new FontLoader().load(
-      FONT_URL,
-      (font) => {
-        _font = font;
-        resolve(font);
-      },
-      undefined,
-      reject,
-    );
-  });
+export function loadFont(source = DEFAULT_FONT) {
+  if (_fonts.has(source)) return Promise.resolve(_fonts.get(source));
+
+  if (!_loading.has(source)) {
+    const url = FONTS[source] ? assetUrl(FONTS[source]) : source;
+    const job = fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.arrayBuffer();
+      })
+      .then((buffer) => {
+        const font = new Font(parseFontData(buffer));
+        _fonts.set(source, font);
+        return font;
+      })
+      .catch((err) => {
+        throw new Error(`Could not load font ${url}: ${err.message}`);
+      })
+      .finally(() => _loading.delete(source));
+    _loading.set(source, job);
+  }
+  return _loading.get(source);
+}
+
+/** Typeface JSON is used as is; binary fonts go through TTFLoader */
+function parseFontData(buffer) {
+  const text = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64)));
+  if (text.trimStart().startsWith('{')) {
+    return JSON.parse(new TextDecoder().decode(buffer));
+  }
+  return new TTFLoader().parse(buffer);
+}
+
+/**
+ * Load the fonts a text needs: the chosen one (or the default if it fails
+ * to load) plus as many fallbacks as it takes to cover every character.
+ */
+export async function loadTextFonts(text, source = DEFAULT_FONT) {
+  try {
+    await loadFont(source);
+  } catch (err) {
+    if (source === DEFAULT_FONT) throw err;
+    console.warn(`${err.message}; using ${DEFAULT_FONT}`);
+    await loadFont(DEFAULT_FONT);
+  }
+
+  for (const fallback of FALLBACK_FONTS) {
+    const fonts = fontStack(source);
+    if ([...text].every((ch) => /\s/.test(ch) || glyphFont(ch, fonts))) return;
+    try {
+      await loadFont(fallback);
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+}
+
+/** Loaded fonts to draw `source` text with, in order of preference */
+function fontStack(source) {
+  const sources = new Set([source, DEFAULT_FONT, ...FALLBACK_FONTS]);
+  return [...sources].map((s) => _fonts.get(s)).filter(Boolean);
+}
+
+/** First font in the stack that has a glyph for `ch` */
+function glyphFont(ch, fonts) {
+  return fonts.find((font) => font.data.glyphs[ch]);
 }
 
 /* ────────────────────────────────────────────────── */
@@ -41,22 +139,98 @@ export function loadFont() {
 
 /**
  * Sample `count` points along a text geometry surface.
+ *
+ * @param {object} [options]
+ * @param {string} [options.font]        FONTS key or URL (see loadTextFonts)
+ * @param {number} [options.size]        font size in world units
+ * @param {number} [options.depth]       extrusion depth
+ * @param {string} [options.align]       'left' | 'center' | 'right'
+ * @param {number} [options.lineHeight]  line spacing, in multiples of size
+ * @param {boolean} [options.fit]        shrink to fit `viewport` (default true)
+ * @param {?{width: number, height: number}} [options.viewport]
+ *        visible area at z = 0, in world units
  */
-export function getTextPositions(text, count = 4000) {
-  const geo = new TextGeometry(text, {
-    font: _font,
-    size: 3,
-    depth: 0.4,           // era 'height' en versiones viejas
-    curveSegments: 6,
-    bevelEnabled: false,
-  });
+export function getTextPositions(text, count = 4000, {
+  font = DEFAULT_FONT,
+  size = 3,
+  depth = 0.4,
+  align = 'center',
+  lineHeight = 1.25,
+  fit = true,
+  viewport = null,
+} = {}) {
+  const fonts = fontStack(font);
+  if (fonts.length === 0) throw new Error('Text formation generated before its font loaded');
+
+  const geo = buildTextGeometry(text, fonts, size, depth, align, lineHeight);
+  if (!geo) return getCompactPositions(count);
   geo.center();
 
+  if (fit && viewport) {
+    geo.computeBoundingBox();
+    const box = geo.boundingBox;
+    const scale = fitScale(box.max.x - box.min.x, box.max.y - box.min.y, viewport);
+    if (scale < 1) geo.scale(scale, scale, 1);
+  }
+
   const positions = sampleSurface(geo, count);
   geo.dispose();
   return positions;
 }
 
+/**
+ * Lay out every line, splitting it into runs of characters drawn with the
+ * same font, and merge the extruded runs into one geometry.  Returns null
+ * if nothing visible is left.
+ */
+function buildTextGeometry(text, fonts, size, depth, align, lineHeight) {
+  const extrude = { depth, curveSegments: 6, bevelEnabled: false };
+  const parts = [];
+
+  text.split('\n').forEach((line, row) => {
+    const runs = [];
+    let x = 0;
+    for (const ch of line) {
+      const { glyph, font } = resolveGlyph(ch, fonts);
+      if (!glyph) continue;
+
+      const last = runs[runs.length - 1];
+      if (last && last.font === font) last.text += glyph;
+      else runs.push({ font, text: glyph, x });
+
+      const data = font.data;
+      x += (data.glyphs[glyph].ha * size) / data.resolution;
+    }
+
+    const offset = align === 'left' ? 0 : align === 'right' ? -x : -x / 2;
+    const y = -row * size * lineHeight;
+    for (const run of runs) {
+      if (!run.text.trim()) continue;
+      const geo = new THREE.ExtrudeGeometry(run.font.generateShapes(run.text, size), extrude);
+      geo.translate(run.x + offset, y, 0);
+      parts.push(geo);
+    }
+  });
+
+  if (parts.length === 0) return null;
+  const merged = mergeGeometries(parts);
+  parts.forEach((geo) => geo.dispose());
+  return merged;
+}
+
+/**
+ * The character to draw for `ch` and the font that has it: `ch` itself,
+ * else its unaccented base letter (Ñ → N), else nothing.
+ */
+function resolveGlyph(ch, fonts) {
+  for (const candidate of [ch, ch.normalize('NFD')[0]]) {
+    const font = glyphFont(candidate, fonts);
+    if (font) return { glyph: candidate, font };
+  }
+  console.warn(`No font has a glyph for "${ch}"`);
+  return { glyph: null, font: null };
+}
+
 /**
  * Create a sphere / solar-system scatter.
  */
@@ -142,72 +316,81 @@ export function getPlanetPositions(count = 4000) {
 }
 
 /* ────────────────────────────────────────────────── */
-/*  Helpers                                           */
+/*  Config-driven dispatch                            */
 /* ────────────────────────────────────────────────── */
 
 /**
- * Random point sampling on a triangulated mesh surface.
- * Returns Float32Array(count * 3).
+ * Generator type → (count, params, context) => Float32Array of positions,
+ * or { positions, colors } for generators that colour their points.
+ * Keys are the `generator` values accepted in the scene config; `context`
+ * carries `viewport` ({width, height} at z = 0) when it is known.
  */
-function sampleSurface(geometry, count) {
-  const pos = geometry.getAttribute('position');
-  const idx = geometry.getIndex();
-  const arr = new Float32Array(count * 3);
+export const FORMATION_GENERATORS = {
+  text:    (count, p, ctx) => getTextPositions(p.text ?? '', count, { ...p, viewport: ctx.viewport }),
+  sphere:  (count, p) => getSpherePositions(count, p.radius),
+  heart:   (count, p) => getHeartPositions(count, p.scale),
+  planet:  (count)    => getPlanetPositions(count),
+  compact: (count, p) => getCompactPositions(count, p.radius),
+  image:   (count, p, ctx) => getImagePositions(loadedImage(p.src), count, { ...p, viewport: ctx.viewport }),
+  svg:     (count, p, ctx) => getSvgPositions(loadedSvg(p.src), count, { ...p, viewport: ctx.viewport }),
+  model:   (count, p, ctx) => getModelPositions(loadedModel(p.src), count, { ...p, viewport: ctx.viewport }),
+};
 
-  // Build triangle list
-  const triCount = idx ? idx.count / 3 : pos.count / 3;
-  const areas = new Float32Array(triCount);
-  const a = new THREE.Vector3(),
-    b = new THREE.Vector3(),
-    c = new THREE.Vector3();
-  let totalArea = 0;
-
-  for (let i = 0; i < triCount; i++) {
-    const i0 = idx ? idx.getX(i * 3) : i * 3;
-    const i1 = idx ? idx.getX(i * 3 + 1) : i * 3 + 1;
-    const i2 = idx ? idx.getX(i * 3 + 2) : i * 3 + 2;
-
-    a.fromBufferAttribute(pos, i0);
-    b.fromBufferAttribute(pos, i1);
-    c.fromBufferAttribute(pos, i2);
-
-    const area = new THREE.Triangle(a.clone(), b.clone(), c.clone()).getArea();
-    areas[i] = area;
-    totalArea += area;
-  }
-
-  // CDF for weighted random pick
-  const cdf = new Float32Array(triCount);
-  cdf[0] = areas[0] / totalArea;
-  for (let i = 1; i < triCount; i++) cdf[i] = cdf[i - 1] + areas[i] / totalArea;
+/** Generators that can't run in the formation worker (functions, DOMParser, image decoding) */
+const MAIN_THREAD_GENERATORS = ['custom', 'svg', 'model'];
 
-  for (let s = 0; s < count; s++) {
-    const r = Math.random();
-    let ti = 0;
-    for (ti = 0; ti < triCount - 1; ti++) {
-      if (r <= cdf[ti]) break;
-    }
+/**
+ * Load whatever a formation needs before it can be generated (fonts for
+ * text, the picture for image / svg, the file for model).  Resolves
+ * immediately for purely procedural generators.
+ */
+export async function loadFormationAssets(def) {
+  const params = def.params || {};
+  switch (def.generator) {
+    case 'text':
+      await loadTextFonts(params.text ?? '', params.font);
+      break;
+    case 'image':
+      await loadImage(params.src);
+      break;
+    case 'svg':
+      await loadSvg(params.src);
+      break;
+    case 'model':
+      await loadModel(params.src, params.format);
+      break;
+  }
+}
 
-    const i0 = idx ? idx.getX(ti * 3) : ti * 3;
-    const i1 = idx ? idx.getX(ti * 3 + 1) : ti * 3 + 1;
-    const i2 = idx ? idx.getX(ti * 3 + 2) : ti * 3 + 2;
+/** Whether a formation must be generated on the main thread */
+export function needsMainThread(def) {
+  return MAIN_THREAD_GENERATORS.includes(def.generator);
+}
 
-    a.fromBufferAttribute(pos, i0);
-    b.fromBufferAttribute(pos, i1);
-    c.fromBufferAttribute(pos, i2);
+/** Whether a formation's points depend on the viewport size */
+export function dependsOnViewport(def) {
+  switch (def.generator) {
+    case 'text':  return def.params?.fit !== false;
+    case 'image':
+    case 'svg':
+    case 'model': return true;
+  }
+  return false;
+}
 
-    // Random barycentric coords
-    let u = Math.random(),
-      v = Math.random();
-    if (u + v > 1) {
-      u = 1 - u;
-      v = 1 - v;
-    }
-    const w = 1 - u - v;
+/**
+ * Build one formation definition from the scene config:
+ * { positions, colors } where `colors` (flat rgb, 0–1) is null unless the
+ * generator colours its points.  `loadFormationAssets(def)` must have
+ * resolved first.
+ */
+export function generateFormation(def, count, context = {}) {
+  const params = def.params || {};
+  const result = def.generator === 'custom'
+    ? def.generate(count, params, context)
+    : FORMATION_GENERATORS[def.generator](count, params, context);
 
-    arr[s * 3]     = a.x * w + b.x * u + c.x * v;
-    arr[s * 3 + 1] = a.y * w + b.y * u + c.y * v;
-    arr[s * 3 + 2] = a.z * w + b.z * u + c.z * v;
-  }
-  return arr;
+  return result instanceof Float32Array
+    ? { positions: result, colors: null }
+    : { positions: result.positions, colors: result.colors ?? null };
 }
@@ -0,0 +1,173 @@
+/**
+ * timeline.js
+ * ────────────
+ * Scripted, hands-free presentations: an ordered list of steps played one
+ * after another, for a surprise reveal without touching anything.
+ *
+ * Authored in the scene config as `timeline`:
+ *
+ *   {
+ *     autoplay: false,       // start playing as soon as the page is ready
+ *     loop: false,           // start over after the last step
+ *     steps: [
+ *       { formation: 'COSMOS', duration: 4 },
+ *       { formation: 'NAME', duration: 6, title: '¿Sabes qué, {name}?',
+ *         transition: 'spring', camera: { z: 14 } },
+ *       …
+ *     ],
+ *   }
+ *
+ * `duration` is how long the step stays on screen, in seconds, counted
+ * from its start (the transition included).  `title` replaces the
+ * formation's title and `transition` its transition, for this step only.
+ * `camera` flies the camera to { x, y, z } (looking at the centre, or at
+ * `target`, see cameraRig.js); steps without it use the formation's pose.
+ *
+ * TimelinePlayer only keeps time; what a step looks like is up to the
+ * `showStep` callback main.js passes in.
+ */
+import { normalizeTransition } from './transitions.js';
+import { normalizeCameraPose } from './cameraRig.js';
+
+const STEP_DEFAULTS = { duration: 5, title: null, transition: undefined, camera: null };
+
+/**
+ * Validate a timeline from the scene config and fill in defaults.
+ * Throws on unknown formations or bad values.
+ * @param {object} timeline
+ * @param {Set<string>} formationIds
+ */
+export function normalizeTimeline(timeline, formationIds) {
+  if (!Array.isArray(timeline?.steps) || timeline.steps.length === 0) {
+    throw new Error('Timeline needs a non-empty "steps" array');
+  }
+
+  const steps = timeline.steps.map((step, i) => {
+    const where = `Timeline step ${i + 1}`;
+    if (!formationIds.has(step.formation)) {
+      throw new Error(`${where}: unknown formation "${step.formation}"`);
+    }
+    const out = { ...STEP_DEFAULTS, ...step };
+    if (!(out.duration > 0)) throw new Error(`${where}: "duration" must be a positive number`);
+    if (step.transition) {
+      try {
+        out.transition = normalizeTransition(step.transition);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+    }
+    if (out.camera) {
+      try {
+        out.camera = normalizeCameraPose(out.camera);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+    }
+    return out;
+  });
+
+  return { autoplay: false, loop: false, ...timeline, steps };
+}
+
+export class TimelinePlayer {
+  /**
+   * @param {object} timeline  from normalizeTimeline()
+   * @param {(step: object, index: number) => void} showStep
+   */
+  constructor(timeline, showStep) {
+    this.steps = timeline.steps;
+    this.loop = timeline.loop;
+    this._showStep = showStep;
+
+    /** Index of the step on screen (-1 before the first one) */
+    this.index = -1;
+    this.playing = false;
+
+    /** Called after every change of step or play state */
+    this.onChange = null;
+
+    this._timer = null;
+    this._timerStart = 0;
+    this._remaining = 0;
+    this._ended = false;
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Public API                              */
+  /* ──────────────────────────────────────── */
+
+  /** Play from the current step (from the top if nothing played yet or it ended) */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    if (this.index < 0 || this._ended) {
+      this._enter(0);
+    } else {
+      this._schedule(this._remaining);
+      this.onChange?.(this);
+    }
+  }
+
+  /** Freeze on the current step; play() continues where it left off */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this._remaining = Math.max(0, this._remaining - (performance.now() - this._timerStart));
+    clearTimeout(this._timer);
+    this.onChange?.(this);
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /** Skip to the next step (wraps around when looping) */
+  next() {
+    if (this.index + 1 < this.steps.length) this._enter(this.index + 1);
+    else if (this.loop) this._enter(0);
+  }
+
+  /** Back to the previous step (or the start of the first one) */
+  prev() {
+    this._enter(Math.max(0, this.index - 1));
+  }
+
+  /** Stop and rewind; the formation on screen stays */
+  stop() {
+    clearTimeout(this._timer);
+    this.playing = false;
+    this.index = -1;
+    this._ended = false;
+    this.onChange?.(this);
+  }
+
+  /* ──────────────────────────────────────── */
+  /*  Internals                               */
+  /* ──────────────────────────────────────── */
+
+  _enter(index) {
+    clearTimeout(this._timer);
+    this.index = index;
+    this._ended = false;
+    this._remaining = this.steps[index].duration * 1000;
+    this._showStep(this.steps[index], index);
+    if (this.playing) this._schedule(this._remaining);
+    this.onChange?.(this);
+  }
+
+  _schedule(ms) {
+    this._timerStart = performance.now();
+    this._timer = setTimeout(() => this._advance(), ms);
+  }
+
+  _advance() {
+    if (this.index + 1 < this.steps.length || this.loop) {
+      this.next();
+      return;
+    }
+    this.playing = false;
+    this._ended = true;
+    this.onChange?.(this);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * transitions.js
+ * ───────────────
+ * Transition modes for moving particles from one formation to the next.
+ * A transition is a plain object (or just its type name as a string):
+ *
+ *   { type: 'lerp',    speed: 0.08 }
+ *       fixed exponential approach every frame (the original motion)
+ *   { type: 'spring',  stiffness: 0.02, damping: 0.08 }
+ *       spring-damper with per-particle velocity, overshoots and settles
+ *   { type: 'tween',   duration: 1.8, easing: 'easeInOutCubic',
+ *                      stagger: 0.8, staggerBy: 'random' }
+ *       timed interpolation from where each particle is now; `stagger` adds
+ *       up to that many seconds of per-particle delay, ordered by the
+ *       particle's random seed ('random') or its target's distance from the
+ *       centre ('radial')
+ *   { type: 'explode', strength: 0.35, duration: 0.7, reform: <transition> }
+ *       blast outward, drift for `duration` seconds, then reform using the
+ *       nested transition (a tween by default)
+ *
+ * The simulation shaders implement the motion; this module only normalises
+ * specs and estimates how long each one takes.
+ */
+
+/** Simulation modes understood by the compute shaders (uMode) */
+export const SIM_MODES = {
+  lerp:   0,
+  spring: 1,
+  tween:  2,
+  drift:  3,   // free flight with drag, used by the explode phase
+};
+
+/** Easing curves understood by the position shader (uEasing) */
+export const EASINGS = {
+  linear:         0,
+  easeInOutCubic: 1,
+  easeOutCubic:   2,
+  easeOutBack:    3,
+  easeInOutSine:  4,
+  easeOutElastic: 5,
+};
+
+/** Per-particle stagger order (uStaggerBy) */
+export const STAGGER_BY = {
+  random: 0,
+  radial: 1,
+};
+
+const DEFAULTS = {
+  lerp:    { speed: 0.08 },
+  spring:  { stiffness: 0.02, damping: 0.08 },
+  tween:   { duration: 1.8, easing: 'easeInOutCubic', stagger: 0, staggerBy: 'random' },
+  explode: { strength: 0.35, duration: 0.7, reform: 'tween' },
+};
+
+export const TRANSITION_TYPES = Object.keys(DEFAULTS);
+
+/** Frame rate used to turn per-frame motion into seconds */
+const ASSUMED_FPS = 60;
+
+/** A per-frame transition counts as done within 1% of the travel */
+const SETTLE_EPSILON = 0.01;
+
+/** Allowed range of each numeric parameter: [check, what it must be] */
+const fraction = [(v) => v > 0 && v <= 1, 'a number in (0, 1]'];
+const positive = [(v) => v > 0 && Number.isFinite(v), 'a positive number'];
+const nonNegative = [(v) => v >= 0 && Number.isFinite(v), 'a number ≥ 0'];
+
+const NUMBERS = {
+  lerp:    { speed: fraction },
+  spring:  { stiffness: positive, damping: positive },
+  tween:   { duration: positive, stagger: nonNegative },
+  explode: { strength: positive, duration: positive },
+};
+
+/**
+ * Fill in defaults; accepts a type name or a (partial) spec object.
+ * Throws on unknown types / easings and out-of-range numbers so config
+ * mistakes surface early.
+ */
+export function normalizeTransition(spec) {
+  const t = typeof spec === 'string' ? { type: spec } : { ...spec };
+  if (!DEFAULTS[t.type]) throw new Error(`Unknown transition type "${t.type}"`);
+
+  const out = { ...DEFAULTS[t.type], ...t };
+  for (const [key, [valid, expected]] of Object.entries(NUMBERS[out.type])) {
+    if (typeof out[key] !== 'number' || !valid(out[key])) {
+      throw new Error(`Transition "${out.type}": "${key}" must be ${expected}`);
+    }
+  }
+
+  if (out.type === 'tween') {
+    if (!(out.easing in EASINGS)) throw new Error(`Unknown easing "${out.easing}"`);
+    if (!(out.staggerBy in STAGGER_BY)) throw new Error(`Unknown stagger "${out.staggerBy}"`);
+  }
+  if (out.type === 'explode') {
+    out.reform = normalizeTransition(out.reform);
+    if (out.reform.type === 'explode') throw new Error('An explode cannot reform by exploding');
+  }
+  return out;
+}
+
+/**
+ * Approximate time (seconds) until the particles have settled.
+ * Lerp and spring are frame-based, so this assumes ~60 fps.
+ */
+export function estimateDuration(t) {
+  switch (t.type) {
+    case 'lerp':
+      return Math.log(SETTLE_EPSILON) / Math.log(1 - t.speed) / ASSUMED_FPS;
+    case 'spring':
+      return springSettleFrames(t.stiffness, t.damping) / ASSUMED_FPS;
+    case 'tween':
+      return t.duration + t.stagger;
+    case 'explode':
+      return t.duration + estimateDuration(t.reform);
+  }
+  return 0;
+}
+
+/**
+ * Run the same 1-D spring the shader integrates, from a unit offset, until
+ * it stays within SETTLE_EPSILON.
+ */
+function springSettleFrames(stiffness, damping) {
+  let x = 1, v = 0;
+  for (let frame = 1; frame < 60 * ASSUMED_FPS; frame++) {
+    v = (v - x * stiffness) * (1 - damping);
+    x += v;
+    if (Math.abs(x) < SETTLE_EPSILON && Math.abs(v) < SETTLE_EPSILON) return frame;
+  }
+  return 60 * ASSUMED_FPS;
+}
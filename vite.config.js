@@ -1,8 +1,139 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFileSync, createReadStream, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { attachRelay } from './server/relay.js';
+
+/* ─── Files served from our own origin instead of a CDN ─── */
+const SELF_HOSTED = {
+  mediapipe: {
+    dir: 'node_modules/@mediapipe/hands',
+    files: [
+      'hands.binarypb',
+      'hand_landmark_full.tflite',
+      'hand_landmark_lite.tflite',
+      'hands_solution_packed_assets.data',
+      'hands_solution_packed_assets_loader.js',
+      'hands_solution_simd_wasm_bin.js',
+      'hands_solution_simd_wasm_bin.wasm',
+      'hands_solution_wasm_bin.js',
+      'hands_solution_wasm_bin.wasm',
+    ],
+  },
+  fonts: {
+    dir: 'node_modules/three/examples/fonts',
+    files: [
+      'helvetiker_bold.typeface.json',
+      'optimer_bold.typeface.json',
+      'gentilis_bold.typeface.json',
+      'droid/droid_sans_bold.typeface.json',
+      'droid/droid_serif_bold.typeface.json',
+    ],
+  },
+};
+
+/* Files in public/ that belong in the offline cache too */
+const PUBLIC_FILES = ['manifest.webmanifest', 'icon.svg'];
+
+const MIME = {
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm',
+};
+
+const resolve = (path) => fileURLToPath(new URL(path, import.meta.url));
+
+/**
+ * Serves the SELF_HOSTED files in dev, copies them into the build, and
+ * emits `sw.js` (src/serviceWorker.js + the list of files to precache).
+ */
+function selfHostedAssets() {
+  let base = '/';
+
+  return {
+    name: 'self-hosted-assets',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url.split('?')[0];
+        if (!path.startsWith(base)) return next();
+
+        const rel = path.slice(base.length);
+        const dir = rel.slice(0, rel.indexOf('/'));
+        const file = rel.slice(dir.length + 1);
+        const source = SELF_HOSTED[dir];
+        if (!source || !source.files.includes(file)) return next();
+
+        const ext = file.slice(file.lastIndexOf('.'));
+        res.setHeader('Content-Type', MIME[ext] || 'application/octet-stream');
+        createReadStream(resolve(`${source.dir}/${file}`)).pipe(res);
+      });
+    },
+
+    generateBundle: {
+      order: 'post',   // after index.html and the worker chunks are in
+      handler(_, bundle) {
+        for (const [dir, { dir: from, files }] of Object.entries(SELF_HOSTED)) {
+          for (const file of files) {
+            this.emitFile({
+              type: 'asset',
+              fileName: `${dir}/${file}`,
+              source: readFileSync(resolve(`${from}/${file}`)),
+            });
+          }
+        }
+
+        const precache = [
+          ...Object.keys(bundle),
+          ...PUBLIC_FILES.filter((file) => existsSync(resolve(`public/${file}`))),
+        ].sort();
+        const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12);
+
+        this.emitFile({
+          type: 'asset',
+          fileName: 'sw.js',
+          source:
+            `const PRECACHE = ${JSON.stringify(precache)};\n` +
+            `const VERSION = '${version}';\n\n` +
+            readFileSync(resolve('src/serviceWorker.js'), 'utf8'),
+        });
+      },
+    },
+  };
+}
+
+/**
+ * Mounts the shared-session relay (server/relay.js) on the dev and preview
+ * servers, so phones on the same network can pair without running
+ * anything else.
+ */
+function sessionRelay() {
+  let base = '/';
+  const attach = (server) => {
+    if (server.httpServer) attachRelay(server.httpServer, { path: `${base}relay` });
+  };
+
+  return {
+    name: 'session-relay',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer: attach,
+    configurePreviewServer: attach,
+  };
+}
 
 export default defineConfig({
   root: '.',
-  base: '/',
+  /* Deploy under a sub-path with BASE_PATH=/my/path/ npm run build */
+  base: process.env.BASE_PATH || '/',
+  plugins: [selfHostedAssets(), sessionRelay()],
   build: {
     outDir: 'dist',
     sourcemap: false,